@@ -0,0 +1,211 @@
+/**
+ * Deterministic tests for debounce and throttle, using node:test fake timers (setTimeout and Date).
+ * Run with: node --test js-imp/
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { debounce, throttle } = require('./index');
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000 }));
+afterEach(() => mock.timers.reset());
+
+const tick = ms => mock.timers.tick(ms);
+const recorder = (returnValue = arg => arg) => {
+  const calls = [];
+  const func = function (...args) {
+    calls.push(args);
+    return returnValue(...args);
+  };
+  return { calls, func };
+};
+
+describe('debounce', () => {
+  it('runs once on the trailing edge with the latest arguments', () => {
+    const { calls, func } = recorder();
+    const debounced = debounce(func, 100);
+    debounced('a');
+    tick(50);
+    debounced('b');
+    tick(99);
+    assert.deepEqual(calls, []);
+    tick(1);
+    assert.deepEqual(calls, [['b']]);
+    tick(500);
+    assert.equal(calls.length, 1);
+  });
+
+  it('restarts the wait on every call', () => {
+    const { calls, func } = recorder();
+    const debounced = debounce(func, 100);
+    for (let i = 0; i < 5; i++) {
+      debounced(i);
+      tick(90);
+    }
+    assert.deepEqual(calls, []);
+    tick(10);
+    assert.deepEqual(calls, [[4]]);
+  });
+
+  it('runs on the leading edge only with { leading: true, trailing: false }', () => {
+    const { calls, func } = recorder();
+    const debounced = debounce(func, 100, { leading: true, trailing: false });
+    assert.equal(debounced('a'), 'a');
+    debounced('b');
+    tick(100);
+    assert.deepEqual(calls, [['a']]);
+    debounced('c');
+    assert.deepEqual(calls, [['a'], ['c']]);
+  });
+
+  it('runs on both edges, but only once for a single call', () => {
+    const { calls, func } = recorder();
+    const debounced = debounce(func, 100, { leading: true, trailing: true });
+    debounced('a');
+    tick(100);
+    assert.deepEqual(calls, [['a']]);
+    debounced('b');
+    debounced('c');
+    tick(100);
+    assert.deepEqual(calls, [['a'], ['b'], ['c']]);
+  });
+
+  it('keeps the legacy boolean immediate argument', () => {
+    const { calls, func } = recorder();
+    const debounced = debounce(func, 100, true);
+    debounced('a');
+    debounced('b');
+    tick(100);
+    assert.deepEqual(calls, [['a']]);
+  });
+
+  it('invokes at least every maxWait during continuous calls', () => {
+    const { calls, func } = recorder();
+    const debounced = debounce(func, 100, { maxWait: 200 });
+    for (let i = 1; i <= 10; i++) {
+      tick(50);
+      debounced(i);
+    }
+    // Calls every 50 ms from 50 to 500 ms: maxWait forces invocations 200 ms apart (at 250 and 450 ms,
+    // with the arguments of the calls at 200 and 400 ms), then the trailing edge runs at 600 ms.
+    assert.deepEqual(calls, [[4], [8]]);
+    tick(100);
+    assert.deepEqual(calls, [[4], [8], [10]]);
+  });
+
+  it('cancel drops the pending invocation', () => {
+    const { calls, func } = recorder();
+    const debounced = debounce(func, 100);
+    debounced('a');
+    assert.equal(debounced.pending(), true);
+    debounced.cancel();
+    assert.equal(debounced.pending(), false);
+    tick(200);
+    assert.deepEqual(calls, []);
+  });
+
+  it('flush runs the pending invocation immediately and returns its result', () => {
+    const { calls, func } = recorder(arg => arg.toUpperCase());
+    const debounced = debounce(func, 100);
+    assert.equal(debounced.flush(), undefined);
+    debounced('save');
+    assert.equal(debounced.flush(), 'SAVE');
+    assert.equal(debounced.pending(), false);
+    tick(200);
+    assert.deepEqual(calls, [['save']]);
+  });
+
+  it('keeps the caller context', () => {
+    const debounced = debounce(function () { return this.id; }, 100, { leading: true, trailing: false });
+    assert.equal(debounced.call({ id: 7 }), 7);
+  });
+
+  it('resolves every caller with the trailing result in promise mode', async () => {
+    const { calls, func } = recorder(arg => `saved ${arg}`);
+    const debounced = debounce(func, 100, { promise: true });
+    const first = debounced('draft 1');
+    const second = debounced('draft 2');
+    tick(100);
+    assert.deepEqual(await Promise.all([first, second]), ['saved draft 2', 'saved draft 2']);
+    assert.equal(calls.length, 1);
+  });
+
+  it('rejects pending promises when the function throws', async () => {
+    const debounced = debounce(() => { throw new Error('offline'); }, 100, { promise: true });
+    const pending = debounced();
+    tick(100);
+    await assert.rejects(pending, /offline/);
+  });
+
+  it('resolves pending promises with the last result on cancel', async () => {
+    const debounced = debounce(arg => arg, 100, { promise: true });
+    const first = debounced('a');
+    tick(100);
+    assert.equal(await first, 'a');
+    const second = debounced('b');
+    debounced.cancel();
+    assert.equal(await second, 'a');
+  });
+
+  it('resolves pending promises on flush', async () => {
+    const debounced = debounce(arg => arg, 100, { promise: true });
+    const pending = debounced('now');
+    debounced.flush();
+    assert.equal(await pending, 'now');
+  });
+
+  it('rejects invalid arguments', () => {
+    assert.throws(() => debounce(null, 100), /Invalid function or wait time/);
+    assert.throws(() => debounce(() => {}, -1), /Invalid function or wait time/);
+    assert.throws(() => debounce(() => {}, 100, { maxWait: 1.5 }), /Invalid maxWait/);
+  });
+});
+
+describe('throttle', () => {
+  it('runs on the leading edge and once more at the end of the window', () => {
+    const { calls, func } = recorder();
+    const throttled = throttle(func, 100);
+    throttled('a');
+    throttled('b');
+    throttled('c');
+    assert.deepEqual(calls, [['a']]);
+    tick(100);
+    assert.deepEqual(calls, [['a'], ['c']]);
+  });
+
+  it('runs at most once per limit during continuous calls', () => {
+    const { calls, func } = recorder();
+    const throttled = throttle(func, 100);
+    for (let i = 0; i < 10; i++) {
+      throttled(i);
+      tick(25);
+    }
+    tick(100);
+    // Calls every 25 ms from 0 to 225 ms: invocations at 0, 100 and 200 ms (each window ends before
+    // that moment's call, so it uses the previous arguments), then the trailing call at 300 ms.
+    assert.deepEqual(calls, [[0], [3], [7], [9]]);
+  });
+
+  it('skips the trailing call with { trailing: false }', () => {
+    const { calls, func } = recorder();
+    const throttled = throttle(func, 100, { trailing: false });
+    throttled('a');
+    throttled('b');
+    tick(100);
+    assert.deepEqual(calls, [['a']]);
+  });
+
+  it('waits for the end of the window with { leading: false }', () => {
+    const { calls, func } = recorder();
+    const throttled = throttle(func, 100, { leading: false });
+    throttled('a');
+    throttled('b');
+    assert.deepEqual(calls, []);
+    tick(100);
+    assert.deepEqual(calls, [['b']]);
+  });
+
+  it('rejects invalid arguments', () => {
+    assert.throws(() => throttle(() => {}, 'fast'), /Invalid function or limit/);
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Cryptographically secure random strings and identifiers (UUID v4/v7, ULID, sortable IDs).
+ * Uses crypto.getRandomValues in browsers and Node.js, falling back to Node's crypto module.
+ * @module idUtils
+ */
+
+const ALPHANUMERIC_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const URL_SAFE_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz-';
+const CROCKFORD_BASE32_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Sortable IDs use a 9-character base62 timestamp prefix; the alphabet is in ASCII order so IDs sort by time.
+const SORTABLE_TIME_LENGTH = 9;
+const MAX_TIMESTAMP = 2 ** 48 - 1;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-([1-8])[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+
+let fillRandom;
+
+/**
+ * Resolves the platform's secure random source.
+ * @returns {Function} Function filling a Uint8Array with random bytes.
+ * @throws {Error} If no secure random source is available.
+ * @private
+ */
+function getRandomSource() {
+  if (fillRandom) return fillRandom;
+  const webCrypto = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+  if (webCrypto && typeof webCrypto.getRandomValues === 'function') {
+    fillRandom = bytes => webCrypto.getRandomValues(bytes);
+    return fillRandom;
+  }
+  try {
+    const nodeCrypto = require('crypto');
+    fillRandom = bytes => nodeCrypto.randomFillSync(bytes);
+    return fillRandom;
+  } catch {
+    throw new Error('No secure random source available');
+  }
+}
+
+/**
+ * Returns cryptographically secure random bytes.
+ * @param {number} length - Number of bytes.
+ * @returns {Uint8Array} Random bytes.
+ * @throws {Error} If the length is invalid or no secure random source is available.
+ */
+function getRandomBytes(length) {
+  if (!Number.isInteger(length) || length < 0) throw new Error('Invalid length');
+  const bytes = new Uint8Array(length);
+  const fill = getRandomSource();
+  // getRandomValues accepts at most 65536 bytes per call.
+  for (let offset = 0; offset < length; offset += 65536) {
+    fill(bytes.subarray(offset, Math.min(offset + 65536, length)));
+  }
+  return bytes;
+}
+
+/**
+ * Generates a secure random string of exactly `length` characters from an alphabet,
+ * using rejection sampling so every character is equally likely.
+ * @param {number} length - Length of the string.
+ * @param {string} [alphabet=ALPHANUMERIC_ALPHABET] - 2 to 256 unique characters.
+ * @returns {string} Random string.
+ * @throws {Error} If the length or alphabet is invalid.
+ * @example
+ * generateSecureString(8, '0123456789'); // e.g., '40918273'
+ */
+function generateSecureString(length, alphabet = ALPHANUMERIC_ALPHABET) {
+  if (!Number.isInteger(length) || length < 0) throw new Error('Invalid length');
+  const chars = typeof alphabet === 'string' ? Array.from(alphabet) : [];
+  if (chars.length < 2 || chars.length > 256 || new Set(chars).size !== chars.length) {
+    throw new Error('Invalid alphabet: expected 2 to 256 unique characters');
+  }
+  const mask = (2 << (31 - Math.clz32((chars.length - 1) | 1))) - 1;
+  const step = Math.ceil((1.6 * mask * length) / chars.length);
+  let result = '';
+  let count = 0;
+  while (count < length) {
+    const bytes = getRandomBytes(step);
+    for (let i = 0; i < step && count < length; i++) {
+      const index = bytes[i] & mask;
+      if (index < chars.length) {
+        result += chars[index];
+        count++;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Formats 16 bytes as a hyphenated UUID string.
+ * @param {Uint8Array} bytes - 16 bytes.
+ * @returns {string} UUID string.
+ * @private
+ */
+function formatUuid(bytes) {
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Validates a timestamp argument for time-based IDs.
+ * @param {number|Date} timestamp - Milliseconds since the epoch or a Date.
+ * @returns {number} Milliseconds.
+ * @throws {Error} If the timestamp cannot be encoded in 48 bits.
+ * @private
+ */
+function toTimestamp(timestamp) {
+  const ms = timestamp instanceof Date ? timestamp.getTime() : timestamp;
+  if (!Number.isInteger(ms) || ms < 0 || ms > MAX_TIMESTAMP) throw new Error('Invalid timestamp');
+  return ms;
+}
+
+/**
+ * Generates a random (version 4) UUID.
+ * @returns {string} UUID, e.g., '3b241101-e2bb-4255-8caf-4136c566a962'.
+ */
+function generateUuidV4() {
+  const bytes = getRandomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  return formatUuid(bytes);
+}
+
+/**
+ * Generates a time-ordered (version 7, RFC 9562) UUID: a 48-bit millisecond timestamp followed by random bits.
+ * IDs created in the same millisecond are not guaranteed to sort in creation order.
+ * @param {number|Date} [timestamp=Date.now()] - Timestamp to embed.
+ * @returns {string} UUID string.
+ * @throws {Error} If the timestamp is invalid.
+ */
+function generateUuidV7(timestamp = Date.now()) {
+  const ms = toTimestamp(timestamp);
+  const bytes = getRandomBytes(16);
+  for (let i = 5, value = ms; i >= 0; i--, value = Math.floor(value / 256)) {
+    bytes[i] = value % 256;
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x70;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  return formatUuid(bytes);
+}
+
+/**
+ * Checks whether a string is a UUID, optionally of a given version.
+ * @param {string} str - The string to check.
+ * @param {number} [version] - Required version (1-8).
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidUuid(str, version) {
+  if (typeof str !== 'string') return false;
+  const match = UUID_PATTERN.exec(str);
+  return Boolean(match) && (version === undefined || Number(match[1]) === version);
+}
+
+/**
+ * Extracts the creation time of a version 7 UUID.
+ * @param {string} uuid - UUID v7 string.
+ * @returns {Date|null} Creation time or null if invalid.
+ */
+function getUuidV7Timestamp(uuid) {
+  if (!isValidUuid(uuid, 7)) return null;
+  return new Date(parseInt(uuid.replace(/-/g, '').slice(0, 12), 16));
+}
+
+/**
+ * Encodes a non-negative integer with an alphabet to a fixed width.
+ * @param {number} value - Integer value.
+ * @param {string} alphabet - Digit alphabet.
+ * @param {number} width - Output length.
+ * @returns {string} Encoded value.
+ * @private
+ */
+function encodeFixed(value, alphabet, width) {
+  let result = '';
+  for (let i = 0, rest = value; i < width; i++, rest = Math.floor(rest / alphabet.length)) {
+    result = alphabet[rest % alphabet.length] + result;
+  }
+  return result;
+}
+
+/**
+ * Decodes a fixed-width integer encoded with an alphabet.
+ * @param {string} str - Encoded value.
+ * @param {string} alphabet - Digit alphabet.
+ * @returns {number} Decoded integer.
+ * @private
+ */
+function decodeFixed(str, alphabet) {
+  return Array.from(str).reduce((value, char) => value * alphabet.length + alphabet.indexOf(char), 0);
+}
+
+/**
+ * Generates a ULID: a 10-character timestamp and 16 random characters in Crockford Base32.
+ * ULIDs sort lexicographically by creation time (to the millisecond).
+ * @param {number|Date} [timestamp=Date.now()] - Timestamp to embed.
+ * @returns {string} 26-character ULID.
+ * @throws {Error} If the timestamp is invalid.
+ */
+function generateUlid(timestamp = Date.now()) {
+  const ms = toTimestamp(timestamp);
+  return encodeFixed(ms, CROCKFORD_BASE32_ALPHABET, 10) + generateSecureString(16, CROCKFORD_BASE32_ALPHABET);
+}
+
+/**
+ * Checks whether a string is a ULID (case-insensitive).
+ * @param {string} str - The string to check.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidUlid(str) {
+  return typeof str === 'string' && ULID_PATTERN.test(str);
+}
+
+/**
+ * Extracts the creation time of a ULID.
+ * @param {string} ulid - ULID string.
+ * @returns {Date|null} Creation time or null if invalid.
+ */
+function getUlidTimestamp(ulid) {
+  if (!isValidUlid(ulid)) return null;
+  return new Date(decodeFixed(ulid.slice(0, 10).toUpperCase(), CROCKFORD_BASE32_ALPHABET));
+}
+
+/**
+ * Generates a compact, URL-safe, time-sortable ID (nanoid-style): a 9-character base62 timestamp
+ * followed by random base62 characters.
+ * @param {number} [length=21] - Total length (at least 17, leaving 8 or more random characters).
+ * @param {number|Date} [timestamp=Date.now()] - Timestamp to embed.
+ * @returns {string} Sortable ID.
+ * @throws {Error} If the length or timestamp is invalid.
+ */
+function generateSortableId(length = 21, timestamp = Date.now()) {
+  if (!Number.isInteger(length) || length < SORTABLE_TIME_LENGTH + 8) throw new Error('Invalid length');
+  const ms = toTimestamp(timestamp);
+  return encodeFixed(ms, ALPHANUMERIC_ALPHABET, SORTABLE_TIME_LENGTH)
+    + generateSecureString(length - SORTABLE_TIME_LENGTH, ALPHANUMERIC_ALPHABET);
+}
+
+/**
+ * Checks whether a string looks like a sortable ID produced by generateSortableId.
+ * @param {string} str - The string to check.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidSortableId(str) {
+  if (typeof str !== 'string' || str.length < SORTABLE_TIME_LENGTH + 8 || !/^[0-9A-Za-z]+$/.test(str)) return false;
+  return decodeFixed(str.slice(0, SORTABLE_TIME_LENGTH), ALPHANUMERIC_ALPHABET) <= MAX_TIMESTAMP;
+}
+
+/**
+ * Extracts the creation time of a sortable ID.
+ * @param {string} id - Sortable ID.
+ * @returns {Date|null} Creation time or null if invalid.
+ */
+function getSortableIdTimestamp(id) {
+  if (!isValidSortableId(id)) return null;
+  return new Date(decodeFixed(id.slice(0, SORTABLE_TIME_LENGTH), ALPHANUMERIC_ALPHABET));
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  ALPHANUMERIC_ALPHABET,
+  URL_SAFE_ALPHABET,
+  CROCKFORD_BASE32_ALPHABET,
+  getRandomBytes,
+  generateSecureString,
+  generateUuidV4,
+  generateUuidV7,
+  isValidUuid,
+  getUuidV7Timestamp,
+  generateUlid,
+  isValidUlid,
+  getUlidTimestamp,
+  generateSortableId,
+  isValidSortableId,
+  getSortableIdTimestamp
+};
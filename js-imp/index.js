@@ -3,89 +3,317 @@
  * @module projectUtils
  */
 
+const { generateSecureString } = require('./id-utils');
+const { isSchema, validateSync } = require('./schema-utils');
+const { parseQuery, stringifyQuery } = require('./query-utils');
+const { isUnsafeKey } = require('./path-utils');
+
+const ARRAY_MERGE_STRATEGIES = ['merge', 'replace', 'concat', 'union'];
+
 /**
- * Creates a deep copy of an object or array, handling nested structures, dates, and circular references.
+ * Creates a deep copy of a value, handling nested structures, circular references and built-ins:
+ * Date, RegExp (with lastIndex), Map, Set, ArrayBuffer, typed arrays, DataView, Error (with cause),
+ * boxed primitives and symbol-keyed properties. Prototypes are kept. Functions, WeakMaps, WeakSets
+ * and Promises are shared by reference.
  * @param {any} input - The input to deep copy (object, array, etc.).
- * @param {WeakMap} [seen=new WeakMap()] - Tracks circular references.
- * @returns {any} Deep copied value or null if invalid.
+ * @param {Object|WeakMap} [options={}] - Copy options (a WeakMap is accepted as `seen` for backward compatibility).
+ * @param {boolean} [options.preserveDescriptors=false] - Copy all own properties with their descriptors
+ *   (getters/setters, non-enumerable, read-only) and keep frozen, sealed or non-extensible state.
+ *   By default only enumerable properties are copied, as plain data.
+ * @param {Map<Function, Function>|Array<Array>} [options.cloners] - Custom cloners per class, as a Map or
+ *   [Class, cloner] pairs; cloner(value, clone, register) receives a `clone` function for nested values and
+ *   a `register(copy)` function that records the copy (and returns it) before nested values are cloned, so
+ *   that values referring back to the original get the copy. Cloning the original again before it is
+ *   registered throws instead of recursing forever.
+ * @returns {any} Deep copied value.
+ * @throws {Error} If the cloners are invalid, or a cloner clones its own value before registering the copy.
+ * @example
+ * const state = { rooms: new Map([[101, { guests: new Set(['ana']) }]]) };
+ * const copy = deepCopy(state);
+ * copy.rooms.get(101).guests.add('ben'); // state is unchanged
  */
-function deepCopy(input, seen = new WeakMap()) {
+function deepCopy(input, options = {}) {
+    const seen = options instanceof WeakMap ? options : new WeakMap();
+    const { preserveDescriptors = false, cloners } = options instanceof WeakMap ? {} : options || {};
+    let clonerEntries = [];
+    if (cloners !== undefined) {
+      clonerEntries = cloners instanceof Map ? [...cloners] : cloners;
+      if (!Array.isArray(clonerEntries) || clonerEntries.some(entry => (
+        !Array.isArray(entry) || typeof entry[0] !== 'function' || typeof entry[1] !== 'function'
+      ))) {
+        throw new Error('Invalid cloners: expected a Map or [Class, cloner] pairs');
+      }
+    }
+    return copyValue(input, seen, { preserveDescriptors, clonerEntries, cloning: new WeakSet() });
+  }
+
+  /**
+   * Recursively copies a value for deepCopy.
+   * @param {any} input - The value.
+   * @param {WeakMap} seen - Copies made so far (for circular and shared references).
+   * @param {Object} settings - Normalized deepCopy options.
+   * @returns {any} Copy.
+   * @private
+   */
+  function copyValue(input, seen, settings) {
     if (input === null || typeof input !== 'object') return input;
     if (seen.has(input)) return seen.get(input);
-  
-    if (input instanceof Date) return new Date(input.getTime());
-    if (input instanceof RegExp) return new RegExp(input);
+    const clone = value => copyValue(value, seen, settings);
+
+    const custom = settings.clonerEntries.find(([Class]) => input instanceof Class);
+    if (custom) {
+      if (settings.cloning.has(input)) {
+        throw new Error('Circular reference in custom cloner: call register(copy) before cloning nested values');
+      }
+      const register = copy => {
+        seen.set(input, copy);
+        return copy;
+      };
+      settings.cloning.add(input);
+      try {
+        return register(custom[1](input, clone, register));
+      } finally {
+        settings.cloning.delete(input);
+      }
+    }
+    if (input instanceof WeakMap || input instanceof WeakSet || input instanceof Promise) return input;
+
+    let copy;
+    let skipKeys = [];
     if (Array.isArray(input)) {
-      const copy = [];
+      copy = new Array(input.length);
+      skipKeys = ['length'];
+    } else if (input instanceof Date) {
+      copy = new Date(input.getTime());
+    } else if (input instanceof RegExp) {
+      copy = new RegExp(input.source, input.flags);
+      copy.lastIndex = input.lastIndex;
+      skipKeys = ['lastIndex'];
+    } else if (input instanceof Map) {
+      copy = new Map();
       seen.set(input, copy);
-      input.forEach((item, index) => {
-        copy[index] = deepCopy(item, seen);
-      });
-      return copy;
+      input.forEach((value, key) => copy.set(clone(key), clone(value)));
+    } else if (input instanceof Set) {
+      copy = new Set();
+      seen.set(input, copy);
+      input.forEach(value => copy.add(clone(value)));
+    } else if (input instanceof ArrayBuffer) {
+      copy = input.slice(0);
+    } else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(input)) {
+      copy = Buffer.from(input);
+    } else if (input instanceof DataView) {
+      copy = new DataView(clone(input.buffer), input.byteOffset, input.byteLength);
+    } else if (ArrayBuffer.isView(input)) {
+      // Views over the same buffer keep sharing one (copied) buffer.
+      copy = new input.constructor(clone(input.buffer), input.byteOffset, input.length);
+    } else if (input instanceof Error) {
+      // A real Error object (not a plain object with Error's prototype), made without running subclass constructors.
+      const proto = Object.getPrototypeOf(input);
+      const Constructor = proto && typeof proto.constructor === 'function' && proto.constructor.prototype === proto
+        ? proto.constructor
+        : Error;
+      copy = Reflect.construct(Error, [], Constructor);
+      if (!Object.prototype.hasOwnProperty.call(input, 'stack')) delete copy.stack;
+      seen.set(input, copy);
+      for (const key of ['name', 'message', 'stack', 'cause', 'errors']) {
+        const descriptor = Object.getOwnPropertyDescriptor(input, key);
+        if (descriptor && 'value' in descriptor) {
+          Object.defineProperty(copy, key, { ...descriptor, value: clone(descriptor.value) });
+        }
+      }
+      skipKeys = ['name', 'message', 'stack', 'cause', 'errors'];
+    } else if (['[object Number]', '[object String]', '[object Boolean]', '[object BigInt]', '[object Symbol]']
+      .includes(Object.prototype.toString.call(input))) {
+      copy = Object(input.valueOf());
+    } else {
+      copy = Object.create(Object.getPrototypeOf(input));
+    }
+    if (Object.getPrototypeOf(copy) !== Object.getPrototypeOf(input)) {
+      Object.setPrototypeOf(copy, Object.getPrototypeOf(input));
     }
-    const copy = Object.create(Object.getPrototypeOf(input));
     seen.set(input, copy);
-    for (const key of Object.keys(input)) {
-      copy[key] = deepCopy(input[key], seen);
+
+    for (const key of Reflect.ownKeys(input)) {
+      if (skipKeys.includes(key)) continue;
+      const descriptor = Object.getOwnPropertyDescriptor(input, key);
+      const existing = Object.getOwnPropertyDescriptor(copy, key);
+      // Built-in own properties of the copy (e.g., a String object's indices) are already correct.
+      if (existing && !existing.configurable) continue;
+      if (settings.preserveDescriptors) {
+        Object.defineProperty(copy, key, 'value' in descriptor ? { ...descriptor, value: clone(descriptor.value) } : descriptor);
+      } else if (descriptor.enumerable) {
+        Object.defineProperty(copy, key, { value: clone(input[key]), writable: true, enumerable: true, configurable: true });
+      }
+    }
+
+    if (settings.preserveDescriptors) {
+      if (Object.isFrozen(input)) Object.freeze(copy);
+      else if (Object.isSealed(input)) Object.seal(copy);
+      else if (!Object.isExtensible(input)) Object.preventExtensions(copy);
     }
     return copy;
   }
   
   /**
-   * Debounces a function to limit its execution rate.
+   * Debounces a function: it runs only after `wait` ms have passed without another call.
+   * The returned function has cancel(), flush() and pending() methods.
    * @param {Function} func - The function to debounce.
    * @param {number} wait - Delay in milliseconds.
-   * @param {boolean} [immediate=false] - Trigger immediately on leading edge.
-   * @returns {Function} Debounced function.
+   * @param {Object|boolean} [options={}] - Debounce options (`true` is the legacy `immediate` mode: leading edge only).
+   * @param {boolean} [options.leading=false] - Invoke on the leading edge of the wait period.
+   * @param {boolean} [options.trailing=true] - Invoke on the trailing edge with the latest arguments
+   *   (when leading is also set, only if the function was called again during the wait).
+   * @param {number} [options.maxWait] - Maximum time a call may be delayed (e.g., autosave during continuous typing).
+   * @param {boolean} [options.promise=false] - Return a promise that resolves with the result of the invocation
+   *   that handles the call (or rejects with its error). Calls that are canceled, or never invoked, resolve
+   *   with the last result.
+   * @returns {Function} Debounced function, returning the last result (or a promise with the `promise` option).
+   * @throws {Error} If the function, wait time or maxWait is invalid.
+   * @example
+   * const search = debounce(query => api.search(query), 300, { promise: true });
+   * const results = await search('sea view');
    */
-  function debounce(func, wait, immediate = false) {
+  function debounce(func, wait, options = {}) {
     if (typeof func !== 'function' || !Number.isInteger(wait) || wait < 0) {
       throw new Error('Invalid function or wait time');
     }
+    const settings = typeof options === 'boolean' ? { leading: options, trailing: !options } : options || {};
+    const { leading = false, trailing = true, maxWait, promise = false } = settings;
+    if (maxWait !== undefined && (!Number.isInteger(maxWait) || maxWait < 0)) throw new Error('Invalid maxWait');
+    const maxing = maxWait !== undefined;
+    const maxDelay = maxing ? Math.max(maxWait, wait) : 0;
+
     let timeout;
-    return function (...args) {
-      const context = this;
-      const later = () => {
-        timeout = null;
-        if (!immediate) func.apply(context, args);
-      };
-      const callNow = immediate && !timeout;
+    let lastArgs;
+    let lastThis;
+    let lastCallTime;
+    let lastInvokeTime = 0;
+    let result;
+    let waiters = [];
+
+    const settle = value => {
+      const settled = waiters;
+      waiters = [];
+      settled.forEach(waiter => waiter.resolve(value));
+    };
+    const invoke = time => {
+      const args = lastArgs;
+      const context = lastThis;
+      lastArgs = lastThis = undefined;
+      lastInvokeTime = time;
+      const settled = waiters;
+      waiters = [];
+      try {
+        result = func.apply(context, args);
+      } catch (error) {
+        settled.forEach(waiter => waiter.reject(error));
+        if (!promise) throw error;
+        return result;
+      }
+      settled.forEach(waiter => waiter.resolve(result));
+      return result;
+    };
+    const shouldInvoke = time => {
+      if (lastCallTime === undefined) return true;
+      const sinceCall = time - lastCallTime;
+      // A negative interval means the system clock went back; treat it as expired.
+      return sinceCall >= wait || sinceCall < 0 || (maxing && time - lastInvokeTime >= maxDelay);
+    };
+    const remainingWait = time => {
+      const waiting = wait - (time - lastCallTime);
+      return maxing ? Math.min(waiting, maxDelay - (time - lastInvokeTime)) : waiting;
+    };
+    const trailingEdge = time => {
+      timeout = undefined;
+      if (trailing && lastArgs) return invoke(time);
+      lastArgs = lastThis = undefined;
+      settle(result);
+      return result;
+    };
+    const timerExpired = () => {
+      const time = Date.now();
+      if (shouldInvoke(time)) {
+        trailingEdge(time);
+        return;
+      }
+      timeout = setTimeout(timerExpired, remainingWait(time));
+    };
+
+    function debounced(...args) {
+      const time = Date.now();
+      const isInvoking = shouldInvoke(time);
+      lastArgs = args;
+      lastThis = this;
+      lastCallTime = time;
+      const waiter = promise ? new Promise((resolve, reject) => waiters.push({ resolve, reject })) : undefined;
+
+      if (isInvoking && timeout === undefined) {
+        lastInvokeTime = time;
+        timeout = setTimeout(timerExpired, wait);
+        if (leading) invoke(time);
+      } else if (isInvoking && maxing) {
+        clearTimeout(timeout);
+        timeout = setTimeout(timerExpired, wait);
+        invoke(time);
+      } else if (timeout === undefined) {
+        timeout = setTimeout(timerExpired, wait);
+      }
+      return promise ? waiter : result;
+    }
+
+    /** Cancels the pending invocation; pending promises resolve with the last result. */
+    debounced.cancel = () => {
       clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-      if (callNow) func.apply(context, args);
+      lastInvokeTime = 0;
+      lastArgs = lastThis = lastCallTime = timeout = undefined;
+      settle(result);
     };
+    /** Runs the pending invocation immediately and returns its result. */
+    debounced.flush = () => (timeout === undefined ? result : trailingEdge(Date.now()));
+    /** Checks whether an invocation is scheduled. */
+    debounced.pending = () => timeout !== undefined;
+    return debounced;
   }
   
   /**
-   * Throttles a function to limit its execution frequency.
+   * Throttles a function to run at most once per `limit` ms. By default it runs on the leading edge and
+   * again at the end of the window with the latest arguments, so the final state (e.g., scroll position) is kept.
+   * The returned function has cancel(), flush() and pending() methods.
    * @param {Function} func - The function to throttle.
    * @param {number} limit - Minimum interval in milliseconds.
+   * @param {Object} [options={}] - Throttle options.
+   * @param {boolean} [options.leading=true] - Invoke on the leading edge.
+   * @param {boolean} [options.trailing=true] - Invoke at the end of the window if called during it.
+   * @param {boolean} [options.promise=false] - Return promises as in debounce.
    * @returns {Function} Throttled function.
+   * @throws {Error} If the function or limit is invalid.
    */
-  function throttle(func, limit) {
+  function throttle(func, limit, options = {}) {
     if (typeof func !== 'function' || !Number.isInteger(limit) || limit < 0) {
       throw new Error('Invalid function or limit');
     }
-    let lastCall = 0;
-    return function (...args) {
-      const now = Date.now();
-      if (now - lastCall >= limit) {
-        lastCall = now;
-        return func.apply(this, args);
-      }
-    };
+    const { leading = true, trailing = true, promise = false } = options || {};
+    return debounce(func, limit, { leading, trailing, maxWait: limit, promise });
   }
   
   /**
-   * Validates an object against a schema (key-value pairs with type or regex).
+   * Validates an object against a schema (key-value pairs with type or regex), or against a schema built
+   * with schema-utils. For nested schemas, coercion and per-field errors, use validate() from schema-utils.
    * @param {Object} obj - The object to validate.
-   * @param {Object} schema - Schema with keys and expected types or regex.
-   * @returns {boolean} True if valid, false otherwise.
+   * @param {Object} schema - Schema with keys and expected types or regex, or a schema-utils schema.
+   * @returns {boolean} True if valid, false otherwise (including when the schema uses async validators).
    * @example
    * validateObject({ name: 'John', age: 30 }, { name: 'string', age: 'number' })
    */
   function validateObject(obj, schema) {
     if (!obj || typeof obj !== 'object' || !schema || typeof schema !== 'object') return false;
+    if (isSchema(schema)) {
+      try {
+        return validateSync(schema, obj).valid;
+      } catch {
+        return false;
+      }
+    }
     for (const [key, rule] of Object.entries(schema)) {
       if (!(key in obj)) return false;
       if (typeof rule === 'string' && typeof obj[key] !== rule) return false;
@@ -129,90 +357,440 @@ function deepCopy(input, seen = new WeakMap()) {
   }
   
   /**
-   * Retries an async function with exponential backoff.
+   * Reads a server-provided retry delay from an error: `error.retryAfter` (ms) or a Retry-After header
+   * (seconds or HTTP date) on `error.headers` or `error.response.headers` (plain object or Headers).
+   * @param {any} error - The error.
+   * @returns {number|undefined} Delay in milliseconds, or undefined if none.
+   * @private
+   */
+  function getRetryAfterDelay(error) {
+    if (!error || typeof error !== 'object') return undefined;
+    if (Number.isFinite(error.retryAfter) && error.retryAfter >= 0) return error.retryAfter;
+    const headers = error.headers || (error.response && error.response.headers);
+    if (!headers) return undefined;
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'] ?? headers['Retry-After'];
+    if (value === undefined || value === null || value === '') return undefined;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+  }
+  
+  /**
+   * Creates a circuit breaker that can be shared by retryWithBackoff calls to the same service.
+   * After `failureThreshold` consecutive failures it opens and rejects calls immediately; after `resetTimeout`
+   * it lets a limited number of trial calls through (half-open) and closes again on success.
+   * @param {Object} [options={}] - Breaker options.
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit.
+   * @param {number} [options.resetTimeout=30000] - Milliseconds before trial calls are allowed.
+   * @param {number} [options.halfOpenMaxCalls=1] - Trial calls allowed while half-open.
+   * @returns {Object} Breaker with `state` ('closed', 'open' or 'half-open'), canRequest(), recordSuccess(),
+   *   recordFailure(), release() (gives back a half-open trial slot without an outcome, e.g. when aborted)
+   *   and reset().
+   * @throws {Error} If an option is invalid.
+   * @example
+   * const paymentsBreaker = createCircuitBreaker({ failureThreshold: 3, resetTimeout: 60000 });
+   * await retryWithBackoff(() => chargeCard(order), { circuitBreaker: paymentsBreaker });
+   */
+  function createCircuitBreaker(options = {}) {
+    const { failureThreshold = 5, resetTimeout = 30000, halfOpenMaxCalls = 1 } = options || {};
+    if (![failureThreshold, halfOpenMaxCalls].every(value => Number.isInteger(value) && value > 0)
+      || !Number.isInteger(resetTimeout) || resetTimeout < 0) {
+      throw new Error('Invalid circuit breaker options');
+    }
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialCalls = 0;
+    const refresh = () => {
+      if (state === 'open' && Date.now() - openedAt >= resetTimeout) {
+        state = 'half-open';
+        trialCalls = 0;
+      }
+    };
+    return {
+      get state() {
+        refresh();
+        return state;
+      },
+      canRequest() {
+        refresh();
+        if (state === 'closed') return true;
+        if (state === 'half-open' && trialCalls < halfOpenMaxCalls) {
+          trialCalls++;
+          return true;
+        }
+        return false;
+      },
+      recordSuccess() {
+        state = 'closed';
+        failures = 0;
+      },
+      release() {
+        if (state === 'half-open' && trialCalls > 0) trialCalls--;
+      },
+      recordFailure() {
+        failures++;
+        if (state === 'half-open' || failures >= failureThreshold) {
+          state = 'open';
+          openedAt = Date.now();
+        }
+      },
+      reset() {
+        state = 'closed';
+        failures = 0;
+      }
+    };
+  }
+  
+  /**
+   * Retries an async function with exponential backoff according to a retry policy.
+   * The function receives { attempt, signal }; the signal aborts when the attempt times out or the call is aborted.
    * @param {Function} asyncFunc - Async function to retry.
-   * @param {number} [maxRetries=3] - Maximum number of retries.
-   * @param {number} [baseDelay=100] - Base delay in milliseconds.
+   * @param {number|Object} [options=3] - Maximum number of retries (after the first attempt), or policy options.
+   * @param {number} [options.maxRetries=3] - Retries after the first attempt (0 runs the function once).
+   * @param {number} [options.baseDelay=100] - Delay before the first retry in milliseconds.
+   * @param {number} [options.factor=2] - Backoff multiplier.
+   * @param {number} [options.maxDelay=Infinity] - Upper bound for a single backoff delay.
+   * @param {string} [options.jitter='none'] - 'none', 'full' (random 0..delay) or 'decorrelated'
+   *   (random between baseDelay and 3x the previous delay).
+   * @param {number} [options.deadline] - Total time budget in milliseconds; no retry starts after it.
+   * @param {number} [options.attemptTimeout] - Per-attempt timeout in milliseconds (rejects with code 'ETIMEDOUT').
+   * @param {AbortSignal} [options.signal] - Aborts waiting and the running attempt.
+   * @param {Function} [options.shouldRetry] - (error, attempt) => boolean | Promise<boolean>; defaults to retrying all errors.
+   * @param {boolean|Function} [options.retryAfter=true] - Honor server delays (error.retryAfter in ms or a Retry-After
+   *   header); or a function (error) => delay in ms.
+   * @param {Function} [options.onRetry] - Called as (error, { attempt, delay }) before waiting.
+   * @param {Function} [options.onGiveUp] - Called as (error, { attempts, reason }) with reason 'retries',
+   *   'notRetryable', 'deadline', 'aborted' or 'circuitOpen'.
+   * @param {Object} [options.circuitBreaker] - Breaker from createCircuitBreaker, shared across calls.
+   * @param {string} [options.circuitBreakerScope='attempt'] - 'attempt' records every failed attempt with the
+   *   breaker (so one call with enough retries can open it by itself); 'call' records one outcome per call,
+   *   when it succeeds or gives up. Aborted calls record nothing; a call ended by a throwing callback records a failure.
+   * @param {number} [baseDelay=100] - Base delay in milliseconds (when `options` is a number).
    * @returns {Promise} Result of the function or throws the last error.
+   * @throws {Error} If the function or options are invalid; rejects with the last error when giving up,
+   *   with the abort reason when aborted, or with code 'ECIRCUITOPEN' when the circuit is open.
+   * @example
+   * await retryWithBackoff(({ signal }) => fetchRates(hotelId, { signal }), {
+   *   maxRetries: 5, jitter: 'full', maxDelay: 10000, deadline: 30000, attemptTimeout: 5000,
+   *   shouldRetry: error => !error.status || error.status >= 500 || error.status === 429
+   * });
    */
-  async function retryWithBackoff(asyncFunc, maxRetries = 3, baseDelay = 100) {
+  async function retryWithBackoff(asyncFunc, options = 3, baseDelay = 100) {
+    const policy = typeof options === 'number' ? { maxRetries: options, baseDelay } : options || {};
+    const {
+      maxRetries = 3, factor = 2, maxDelay = Infinity, jitter = 'none', deadline, attemptTimeout, signal,
+      shouldRetry = () => true, retryAfter = true, onRetry, onGiveUp, circuitBreaker, circuitBreakerScope = 'attempt'
+    } = policy;
+    const initialDelay = policy.baseDelay === undefined ? 100 : policy.baseDelay;
     if (typeof asyncFunc !== 'function' || !Number.isInteger(maxRetries) || maxRetries < 0) {
       throw new Error('Invalid function or retries');
     }
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        return await asyncFunc();
-      } catch (error) {
-        if (attempt === maxRetries) throw error;
-        const delay = baseDelay * Math.pow(2, attempt - 1);
-        await new Promise(resolve => setTimeout(resolve, delay));
+    if (!(initialDelay >= 0) || !(factor >= 1) || !(maxDelay >= 0) || !['none', 'full', 'decorrelated'].includes(jitter)
+      || (deadline !== undefined && !(deadline >= 0)) || (attemptTimeout !== undefined && !(attemptTimeout > 0))
+      || !['attempt', 'call'].includes(circuitBreakerScope)) {
+      throw new Error('Invalid retry options');
+    }
+
+    const startTime = Date.now();
+    const abortReason = () => signal.reason || new Error('Aborted');
+    // Whether this call holds a breaker permit (a trial slot when half-open) with no outcome recorded yet.
+    let holdsBreaker = false;
+    const settleBreaker = outcome => {
+      if (!circuitBreaker || !holdsBreaker) return;
+      holdsBreaker = false;
+      if (outcome === 'success') circuitBreaker.recordSuccess();
+      else if (outcome === 'failure') circuitBreaker.recordFailure();
+      else circuitBreaker.release();
+    };
+    const giveUp = (error, attempts, reason) => {
+      // Errors the predicate rejects (e.g., 4xx responses) show the service is up.
+      settleBreaker(reason === 'aborted' ? 'release' : reason === 'notRetryable' ? 'success' : 'failure');
+      if (typeof onGiveUp === 'function') onGiveUp(error, { attempts, reason });
+      throw error;
+    };
+    const withAbort = (executor, onSettle) => new Promise((resolve, reject) => {
+      const onAbort = () => {
+        onSettle();
+        reject(abortReason());
+      };
+      if (signal && signal.aborted) return onAbort();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      executor(value => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      }, error => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(error);
+      });
+    });
+    const sleep = ms => {
+      let timer;
+      return withAbort(resolve => {
+        timer = setTimeout(resolve, ms);
+      }, () => clearTimeout(timer));
+    };
+    const runAttempt = attempt => {
+      const controller = new AbortController();
+      const remaining = deadline === undefined ? Infinity : deadline - (Date.now() - startTime);
+      const timeout = Math.min(attemptTimeout === undefined ? Infinity : attemptTimeout, remaining);
+      let timer;
+      return withAbort((resolve, reject) => {
+        if (Number.isFinite(timeout)) {
+          timer = setTimeout(() => {
+            const error = Object.assign(new Error(`Attempt timed out after ${Math.max(0, Math.round(timeout))}ms`), { code: 'ETIMEDOUT' });
+            controller.abort(error);
+            reject(error);
+          }, Math.max(0, timeout));
+        }
+        Promise.resolve()
+          .then(() => asyncFunc({ attempt, signal: controller.signal }))
+          .then(resolve, reject)
+          .finally(() => clearTimeout(timer));
+      }, () => {
+        clearTimeout(timer);
+        controller.abort(abortReason());
+      });
+    };
+
+    let previousDelay = initialDelay;
+    // A throwing callback (shouldRetry, retryAfter, onRetry) ends the call with the breaker still held;
+    // record that attempt as a failure so a half-open breaker does not keep its trial slot forever.
+    try {
+      for (let attempt = 1; ; attempt++) {
+        if (signal && signal.aborted) giveUp(abortReason(), attempt - 1, 'aborted');
+        if (circuitBreaker && !holdsBreaker) {
+          if (!circuitBreaker.canRequest()) {
+            const error = Object.assign(new Error('Circuit breaker is open'), { code: 'ECIRCUITOPEN' });
+            giveUp(error, attempt - 1, 'circuitOpen');
+          }
+          holdsBreaker = true;
+        }
+        try {
+          const result = await runAttempt(attempt);
+          settleBreaker('success');
+          return result;
+        } catch (error) {
+          if (signal && signal.aborted) giveUp(abortReason(), attempt, 'aborted');
+          const retryable = await shouldRetry(error, attempt);
+          if (!retryable) giveUp(error, attempt, 'notRetryable');
+          if (circuitBreakerScope === 'attempt') settleBreaker('failure');
+          if (attempt > maxRetries) giveUp(error, attempt, 'retries');
+
+          let delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+          if (jitter === 'full') delay = Math.random() * delay;
+          if (jitter === 'decorrelated') {
+            delay = Math.min(maxDelay, initialDelay + Math.random() * (previousDelay * 3 - initialDelay));
+            previousDelay = delay;
+          }
+          const serverDelay = typeof retryAfter === 'function' ? retryAfter(error) : retryAfter ? getRetryAfterDelay(error) : undefined;
+          if (Number.isFinite(serverDelay) && serverDelay > delay) delay = serverDelay;
+          delay = Math.round(delay);
+          if (deadline !== undefined && Date.now() - startTime + delay >= deadline) giveUp(error, attempt, 'deadline');
+          if (typeof onRetry === 'function') onRetry(error, { attempt, delay });
+          try {
+            await sleep(delay);
+          } catch {
+            giveUp(abortReason(), attempt, 'aborted');
+          }
+        }
       }
+    } finally {
+      settleBreaker('failure');
     }
   }
   
   /**
-   * Parses a complex query string into an object with type coercion.
-   * @param {string} query - Query string (e.g., "name=John&age=30&active=true").
-   * @returns {Object} Parsed object with coerced values or empty object if invalid.
+   * Parses a query string into an object, with nested keys, repeated keys as arrays and opt-in coercion.
+   * @param {string} query - Query string (e.g., "q=spa&tag=pool&tag=gym&filters[price][min]=10").
+   * @param {Object} [options={}] - Parse options (allowDots, arrayFormat, coerce, nulls, depth, arrayLimit);
+   *   see queryUtils.parseQuery.
+   * @returns {Object} Parsed object or empty object if invalid.
+   * @throws {Error} If an option is invalid.
    */
-  function parseQueryString(query) {
-    if (typeof query !== 'string') return {};
-    try {
-      const params = new URLSearchParams(query);
-      const result = {};
-      for (const [key, value] of params) {
-        if (value === 'true') result[key] = true;
-        else if (value === 'false') result[key] = false;
-        else if (!isNaN(value) && value.trim() !== '') result[key] = Number(value);
-        else result[key] = value;
-      }
-      return result;
-    } catch {
-      return {};
+  function parseQueryString(query, options = {}) {
+    return parseQuery(query, options);
+  }
+  
+  /**
+   * Checks whether a value is a plain object (created by {} or Object.create(null)).
+   * @param {any} value - The value.
+   * @returns {boolean} True for plain objects.
+   * @private
+   */
+  function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+  
+  /**
+   * Checks an array merge strategy: 'merge', 'replace', 'concat', 'union' or { by: key }.
+   * @param {any} strategy - The strategy.
+   * @returns {boolean} True if valid.
+   * @private
+   */
+  function isArrayMergeStrategy(strategy) {
+    return ARRAY_MERGE_STRATEGIES.includes(strategy)
+      || (strategy !== null && typeof strategy === 'object' && typeof strategy.by === 'string');
+  }
+  
+  /**
+   * Freezes a value and everything reachable from its own properties, Map entries and Set items.
+   * @param {any} value - The value.
+   * @param {WeakSet} [seen=new WeakSet()] - Visited objects.
+   * @returns {any} The frozen value.
+   * @private
+   */
+  function deepFreeze(value, seen = new WeakSet()) {
+    if (value === null || typeof value !== 'object' || seen.has(value)) return value;
+    seen.add(value);
+    if (value instanceof Map) {
+      value.forEach((item, key) => {
+        deepFreeze(key, seen);
+        deepFreeze(item, seen);
+      });
     }
+    if (value instanceof Set) value.forEach(item => deepFreeze(item, seen));
+    // Typed arrays and DataViews with contents cannot be frozen.
+    if (ArrayBuffer.isView(value)) return value;
+    Reflect.ownKeys(value).forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      if ('value' in descriptor) deepFreeze(descriptor.value, seen);
+    });
+    return Object.freeze(value);
   }
   
   /**
-   * Merges multiple objects deeply, resolving conflicts by prioritizing later objects.
-   * deep copy of objects, handling nested structures, dates, and circular references.
-   * @param {...Object} objects - Objects to merge.
-   * @returns {Object} Merged object or empty object if invalid.
+   * Merges values left to right into new containers (inputs are never modified).
+   * @param {Array} objects - Values to merge.
+   * @param {Object} options - Merge options (see createDeepMerge).
+   * @returns {any} Merged value.
+   * @private
    */
-  function deepMerge(...objects) {
-    if (!objects.every(obj => obj && typeof obj === 'object')) return {};
-    const seen = new WeakMap();
-    const merge = (target, source) => {
+  function mergeValues(objects, options) {
+    const { arrays = 'merge', arrayPaths = {}, customizer, immutable = false } = options;
+    // Results for the sources on the current recursion path only, so a cycle reuses its result but a
+    // source shared by two branches is merged into each branch's own target.
+    const ancestors = new WeakMap();
+    const take = value => (immutable ? deepCopy(value) : value);
+    const within = (source, result, fill) => {
+      ancestors.set(source, result);
+      fill();
+      ancestors.delete(source);
+      return result;
+    };
+    const strategyFor = path => (Object.prototype.hasOwnProperty.call(arrayPaths, path) ? arrayPaths[path] : arrays);
+
+    const mergeArray = (target, source, path) => {
+      const strategy = strategyFor(path);
+      const result = strategy === 'replace' || !Array.isArray(target) ? [] : target.slice();
+      return within(source, result, () => source.forEach((item, index) => {
+        if (strategy === 'merge') {
+          result[index] = merge(result[index], item, path, index);
+        } else if (strategy === 'union') {
+          if (!result.some(existing => deepEqual(existing, item))) result.push(merge(undefined, item, path, result.length));
+        } else if (typeof strategy === 'object' && item !== null && typeof item === 'object' && item[strategy.by] !== undefined) {
+          const match = result.findIndex(existing => existing !== null && typeof existing === 'object'
+            && deepEqual(existing[strategy.by], item[strategy.by]));
+          const position = match === -1 ? result.length : match;
+          result[position] = merge(match === -1 ? undefined : result[match], item, path, position);
+        } else {
+          result.push(merge(undefined, item, path, result.length));
+        }
+      }));
+    };
+
+    const merge = (target, source, path, key) => {
+      if (typeof customizer === 'function') {
+        const custom = customizer(target, source, { key, path });
+        // In immutable mode the result is frozen, so it must not be an input (or part of one).
+        if (custom !== undefined) return take(custom);
+      }
       if (source === null || typeof source !== 'object') return source;
-      if (seen.has(source)) return seen.get(source);
+      if (ancestors.has(source)) return ancestors.get(source);
       if (source instanceof Date) return new Date(source.getTime());
       if (source instanceof RegExp) return new RegExp(source);
-      if (Array.isArray(source)) {
-        const arr = target && Array.isArray(target) ? target : [];
-        seen.set(source, arr);
-        source.forEach((item, index) => {
-          arr[index] = merge(arr[index], item);
-        });
-        return arr;
+      if (Array.isArray(source)) return mergeArray(target, source, path);
+      if (source instanceof Map) {
+        const map = new Map(target instanceof Map ? target : undefined);
+        return within(source, map, () => source.forEach((value, mapKey) => {
+          map.set(mapKey, merge(map.get(mapKey), value, path ? `${path}.${String(mapKey)}` : String(mapKey), mapKey));
+        }));
       }
-      const obj = target && typeof target === 'object' && !Array.isArray(target) ? target : {};
-      seen.set(source, obj);
-      for (const key of Object.keys(source)) {
-        obj[key] = merge(obj[key], source[key]);
+      if (source instanceof Set) {
+        const set = new Set(target instanceof Set ? target : undefined);
+        return within(source, set, () => source.forEach(item => set.add(take(item))));
       }
-      return obj;
+      if (!isPlainObject(source)) return take(source);
+      const obj = {};
+      if (isPlainObject(target)) Object.keys(target).forEach(targetKey => { obj[targetKey] = target[targetKey]; });
+      return within(source, obj, () => Object.keys(source).forEach(sourceKey => {
+        if (isUnsafeKey(sourceKey)) return;
+        obj[sourceKey] = merge(obj[sourceKey], source[sourceKey], path ? `${path}.${sourceKey}` : sourceKey, sourceKey);
+      }));
+    };
+
+    const result = objects.reduce((acc, obj) => merge(acc, obj, '', undefined), undefined);
+    return immutable ? deepFreeze(result) : result;
+  }
+  
+  /**
+   * Merges multiple objects deeply, resolving conflicts by prioritizing later objects.
+   * The result is built from new objects, arrays, Maps and Sets, so inputs are never modified; arrays merge
+   * by index, Maps by key and Sets by union. `__proto__`, `constructor` and `prototype` keys are skipped.
+   * For other array strategies, a customizer or immutable results, use createDeepMerge.
+   * @param {...Object} objects - Objects to merge.
+   * @returns {Object} Merged object or empty object if invalid.
+   */
+  function deepMerge(...objects) {
+    if (!objects.length || !objects.every(obj => obj && typeof obj === 'object')) return {};
+    return mergeValues(objects, {});
+  }
+  
+  /**
+   * Creates a deepMerge function with array strategies, a customizer and an immutable mode.
+   * Array strategies are 'merge' (by index), 'replace', 'concat', 'union' (skips deeply equal items)
+   * or { by: 'id' } (merges items with the same id and appends the rest).
+   * @param {Object} [options={}] - Merge options.
+   * @param {string|Object} [options.arrays='merge'] - Default array strategy.
+   * @param {Object} [options.arrayPaths={}] - Strategies by dotted key path (e.g., { 'rooms': { by: 'id' },
+   *   'rooms.tags': 'union' }); array items add no path segment.
+   * @param {Function} [options.customizer] - (targetValue, sourceValue, { key, path }) => merged value,
+   *   or undefined for the default behavior (in immutable mode the returned value is deep-copied).
+   * @param {boolean} [options.immutable=false] - Deep-copy every value taken from the inputs (class instances
+   *   included) and deep-freeze the result, so it shares nothing with the inputs and cannot be changed.
+   * @returns {Function} (...objects) => merged object (empty object if an argument is invalid).
+   * @throws {Error} If a strategy or the customizer is invalid.
+   * @example
+   * const mergeConfig = createDeepMerge({ arrays: 'replace', arrayPaths: { rooms: { by: 'id' } }, immutable: true });
+   * const config = mergeConfig(defaults, hotelOverrides, JSON.parse(userJson));
+   */
+  function createDeepMerge(options = {}) {
+    const settings = options || {};
+    const { arrays = 'merge', arrayPaths = {}, customizer } = settings;
+    if (!isArrayMergeStrategy(arrays) || !arrayPaths || typeof arrayPaths !== 'object'
+      || !Object.values(arrayPaths).every(isArrayMergeStrategy)
+      || (customizer !== undefined && typeof customizer !== 'function')) {
+      throw new Error('Invalid merge options');
+    }
+    return (...objects) => {
+      if (!objects.length || !objects.every(obj => obj && typeof obj === 'object')) return {};
+      return mergeValues(objects, settings);
     };
-    return objects.reduce((acc, obj) => merge(acc, obj), {});
   }
   
   /**
-   * Generates a unique ID based on timestamp and random string.
-   * @param {number} [length=16] - Length of the random string portion.
+   * Generates a unique ID based on timestamp and a cryptographically secure random string.
+   * For standard formats, see the idUtils module (UUID v4/v7, ULID, sortable IDs).
+   * @param {number} [length=16] - Exact length of the random string portion.
    * @returns {string} Unique ID.
    */
   function generateUniqueId(length = 16) {
     if (!Number.isInteger(length) || length < 0) length = 16;
     const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substring(2, 2 + length);
+    const random = generateSecureString(length, '0123456789abcdefghijklmnopqrstuvwxyz');
     return `${timestamp}-${random}`;
   }
   
@@ -251,58 +829,147 @@ function deepCopy(input, seen = new WeakMap()) {
   
   /**
    * Caches the result of a function based on its arguments.
+   * Primitive arguments are keyed by type and value; objects and functions by identity (through a WeakMap,
+   * so circular arguments work and the arguments themselves are not retained). Promise results are shared
+   * by concurrent identical calls and evicted if they reject.
    * @param {Function} func - Function to memoize.
-   * @returns {Function} Memoized function.
+   * @param {Object} [options={}] - Cache options.
+   * @param {number} [options.maxSize=Infinity] - Maximum number of entries; the least recently used is evicted first.
+   * @param {number|Function} [options.ttl=Infinity] - Entry lifetime in milliseconds, or (result, args) => ms per entry.
+   * @param {Function} [options.resolver] - (...args) => cache key, replacing the default argument keys.
+   * @returns {Function} Memoized function with clear(), delete(...args) and stats() ({ hits, misses, evictions, size }).
+   * @throws {Error} If the function or options are invalid.
+   * @example
+   * const getRates = memoize(fetchRates, { maxSize: 1000, ttl: 60000, resolver: (hotelId, date) => `${hotelId}:${date}` });
    */
-  function memoize(func) {
+  function memoize(func, options = {}) {
     if (typeof func !== 'function') throw new Error('Invalid function');
+    const { maxSize = Infinity, ttl = Infinity, resolver } = options || {};
+    if (!(maxSize >= 1) || (typeof ttl !== 'function' && !(ttl > 0))
+      || (resolver !== undefined && typeof resolver !== 'function')) {
+      throw new Error('Invalid memoize options');
+    }
     const cache = new Map();
-    return function (...args) {
-      const key = JSON.stringify(args);
-      if (cache.has(key)) return cache.get(key);
-      const result = func.apply(this, args);
-      cache.set(key, result);
-      return result;
+    const objectIds = new WeakMap();
+    const symbolIds = new Map();
+    let nextId = 0;
+    let hits = 0;
+    let misses = 0;
+    let evictions = 0;
+
+    const identity = (ids, value) => {
+      if (!ids.has(value)) ids.set(value, ++nextId);
+      return ids.get(value);
+    };
+    const argumentKey = arg => {
+      if (arg !== null && (typeof arg === 'object' || typeof arg === 'function')) return `ref:${identity(objectIds, arg)}`;
+      if (typeof arg === 'symbol') return `symbol:${identity(symbolIds, arg)}`;
+      if (typeof arg === 'string') return `string:${JSON.stringify(arg)}`;
+      return `${typeof arg}:${Object.is(arg, -0) ? '-0' : String(arg)}`;
     };
+    const keyFor = args => resolver ? resolver(...args) : args.map(argumentKey).join(',');
+    const isFresh = entry => entry.expires > Date.now();
+
+    const memoized = function (...args) {
+      const key = keyFor(args);
+      const entry = cache.get(key);
+      if (entry && isFresh(entry)) {
+        hits++;
+        cache.delete(key);
+        cache.set(key, entry);
+        return entry.value;
+      }
+      if (entry) cache.delete(key);
+      misses++;
+      const value = func.apply(this, args);
+      const lifetime = typeof ttl === 'function' ? ttl(value, args) : ttl;
+      const newEntry = { value, expires: Date.now() + (lifetime > 0 ? lifetime : 0) };
+      cache.set(key, newEntry);
+      // Drop expired entries at the old end first, then enforce the size limit.
+      for (const [oldKey, oldEntry] of cache) {
+        if (cache.size <= maxSize && isFresh(oldEntry)) break;
+        cache.delete(oldKey);
+        evictions++;
+      }
+      if (value && typeof value.then === 'function') {
+        value.then(null, () => {
+          if (cache.get(key) === newEntry) cache.delete(key);
+        });
+      }
+      return value;
+    };
+    memoized.clear = () => cache.clear();
+    memoized.delete = (...args) => cache.delete(keyFor(args));
+    memoized.stats = () => ({ hits, misses, evictions, size: cache.size });
+    return memoized;
   }
   
   /**
-   * Converts an object to a query string with proper encoding.
+   * Converts an object to a query string with proper encoding, including nested objects and arrays.
    * @param {Object} obj - Object to convert.
+   * @param {Object} [options={}] - Serialization options (allowDots, arrayFormat, nulls, skipUndefined, sort);
+   *   see queryUtils.stringifyQuery.
    * @returns {string} Query string or empty string if invalid.
+   * @throws {Error} If an option is invalid.
    */
-  function toQueryString(obj) {
-    if (!obj || typeof obj !== 'object') return '';
-    try {
-      return Object.entries(obj)
-        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
-        .join('&');
-    } catch {
-      return '';
-    }
+  function toQueryString(obj, options = {}) {
+    return stringifyQuery(obj, options);
   }
   
   /**
    * Performs a deep comparison of two values for equality.
+   * Handles NaN, Date, RegExp, Map, Set, typed arrays, ArrayBuffer, DataView, boxed primitives, errors and
+   * enumerable symbol keys; objects must also share a prototype. Map keys and Set members that are objects
+   * are matched by deep equality.
    * @param {any} a - First value.
    * @param {any} b - Second value.
    * @param {WeakMap} [seen=new WeakMap()] - Tracks circular references.
    * @returns {boolean} True if values are deeply equal.
    */
   function deepEqual(a, b, seen = new WeakMap()) {
-    if (a === b) return true;
+    if (a === b || (Number.isNaN(a) && Number.isNaN(b))) return true;
     if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
     if (seen.has(a) && seen.get(a) === b) return true;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
     seen.set(a, b);
-    if (Array.isArray(a) && Array.isArray(b)) {
-      if (a.length !== b.length) return false;
-      return a.every((item, index) => deepEqual(item, b[index], seen));
+
+    const tag = Object.prototype.toString.call(a);
+    if (tag !== Object.prototype.toString.call(b)) return false;
+    if (a instanceof Date) return deepEqual(a.getTime(), b.getTime());
+    if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+    if (['[object Number]', '[object String]', '[object Boolean]', '[object BigInt]', '[object Symbol]'].includes(tag)) {
+      if (!deepEqual(a.valueOf(), b.valueOf())) return false;
+    }
+    if (a instanceof Error && (a.name !== b.name || a.message !== b.message)) return false;
+    if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+      const bytesA = a instanceof ArrayBuffer ? new Uint8Array(a) : new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+      const bytesB = b instanceof ArrayBuffer ? new Uint8Array(b) : new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+      if (bytesA.length !== bytesB.length || bytesA.some((byte, index) => byte !== bytesB[index])) return false;
+      if (a instanceof ArrayBuffer || a instanceof DataView) return true;
+      // Typed arrays: byte equality is enough, their indices need no key-by-key comparison.
+      return Object.keys(a).length === Object.keys(b).length;
+    }
+    if (a instanceof Map || a instanceof Set) {
+      if (a.size !== b.size) return false;
+      const unmatched = [...b.keys()].filter(key => !a.has(key));
+      for (const [key, value] of a.entries()) {
+        if (b.has(key)) {
+          if (a instanceof Map && !deepEqual(value, b.get(key), seen)) return false;
+          continue;
+        }
+        const index = unmatched.findIndex(candidate => (
+          deepEqual(key, candidate, seen) && (a instanceof Set || deepEqual(value, b.get(candidate), seen))
+        ));
+        if (index === -1) return false;
+        unmatched.splice(index, 1);
+      }
     }
-    if (Array.isArray(a) || Array.isArray(b)) return false;
-    const keysA = Object.keys(a);
-    const keysB = Object.keys(b);
+    if (Array.isArray(a) && a.length !== b.length) return false;
+    const ownKeys = value => Reflect.ownKeys(value).filter(key => Object.prototype.propertyIsEnumerable.call(value, key));
+    const keysA = ownKeys(a);
+    const keysB = ownKeys(b);
     if (keysA.length !== keysB.length) return false;
-    return keysA.every(key => deepEqual(a[key], b[key], seen));
+    return keysA.every(key => Object.prototype.propertyIsEnumerable.call(b, key) && deepEqual(a[key], b[key], seen));
   }
   
   // Export functions for Node.js/CommonJS usage
@@ -314,8 +981,10 @@ function deepCopy(input, seen = new WeakMap()) {
     groupBy,
     flattenArray,
     retryWithBackoff,
+    createCircuitBreaker,
     parseQueryString,
     deepMerge,
+    createDeepMerge,
     generateUniqueId,
     sanitizeHtmlString,
     chunkArray,
@@ -0,0 +1,396 @@
+/**
+ * Structural diffs between JSON-like values and RFC 6902 JSON Patch creation, application and reversal.
+ * @module patchUtils
+ */
+
+const { deepCopy, deepEqual } = require('./index');
+
+/**
+ * Checks whether a value is a plain object (object literal or null-prototype object).
+ * @param {any} value - The value.
+ * @returns {boolean} True for plain objects.
+ * @private
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Resolves the identity function for array items from the `arrayKey` option.
+ * @param {string|Function} [arrayKey] - Property name or (item, path) => key.
+ * @returns {Function|null} (item, path) => key, or null for index matching.
+ * @throws {Error} If the option is invalid.
+ * @private
+ */
+function resolveArrayKey(arrayKey) {
+  if (arrayKey === undefined || arrayKey === null) return null;
+  if (typeof arrayKey === 'function') return arrayKey;
+  // Primitive items (e.g., tags) are their own key.
+  if (typeof arrayKey === 'string') return item => (item !== null && typeof item === 'object' ? item[arrayKey] : item);
+  throw new Error('Invalid arrayKey: expected a property name or function');
+}
+
+/**
+ * Computes the structural differences between two values.
+ * Plain objects and arrays are compared recursively; other values (including Dates, Maps and Sets) are compared
+ * with deepEqual and reported as a whole. Changes are ordered so that applying them one after another
+ * turns `a` into `b` (array indices refer to the array as modified by the preceding changes).
+ * @param {any} a - Original value.
+ * @param {any} b - Updated value.
+ * @param {Object} [options={}] - Diff options.
+ * @param {string|Function} [options.arrayKey] - Match array items by this property (e.g., 'id'; primitive items
+ *   match by value) or by (item, path) => key, reporting reordered items as 'moved'; by default items are
+ *   matched by index. Items without a key are treated as removed and added.
+ * @returns {Object[]} Changes { type: 'added'|'removed'|'changed'|'moved', path, value?, oldValue?, from? },
+ *   where `path` and `from` are arrays of keys and indices.
+ * @throws {Error} If the arrayKey option is invalid.
+ * @example
+ * deepDiff({ guests: 2, rooms: [{ id: 7, rate: 90 }] }, { guests: 3, rooms: [{ id: 7, rate: 95 }] }, { arrayKey: 'id' });
+ * // [{ type: 'changed', path: ['guests'], oldValue: 2, value: 3 },
+ * //  { type: 'changed', path: ['rooms', 0, 'rate'], oldValue: 90, value: 95 }]
+ */
+function deepDiff(a, b, options = {}) {
+  const keyOf = resolveArrayKey((options || {}).arrayKey);
+  const changes = [];
+
+  const diffArraysByIndex = (before, after, path) => {
+    const common = Math.min(before.length, after.length);
+    for (let i = 0; i < common; i++) visit(before[i], after[i], [...path, i]);
+    for (let i = before.length - 1; i >= after.length; i--) {
+      changes.push({ type: 'removed', path: [...path, i], oldValue: deepCopy(before[i]) });
+    }
+    for (let i = before.length; i < after.length; i++) {
+      changes.push({ type: 'added', path: [...path, i], value: deepCopy(after[i]) });
+    }
+  };
+
+  const diffArraysByKey = (before, after, path) => {
+    const keysAfter = new Set(after.map(item => keyOf(item, path)).filter(key => key !== undefined));
+    // Remove unmatched items from the end first so earlier indices stay valid.
+    const working = before.map(item => ({ item, key: keyOf(item, path) }));
+    const seenKeys = new Set();
+    const keep = working.map(entry => {
+      const kept = entry.key !== undefined && keysAfter.has(entry.key) && !seenKeys.has(entry.key);
+      if (kept) seenKeys.add(entry.key);
+      return kept;
+    });
+    for (let i = working.length - 1; i >= 0; i--) {
+      if (keep[i]) continue;
+      changes.push({ type: 'removed', path: [...path, i], oldValue: deepCopy(working[i].item) });
+      working.splice(i, 1);
+    }
+
+    after.forEach((item, index) => {
+      const key = keyOf(item, path);
+      const current = key === undefined ? -1 : working.findIndex((entry, i) => i >= index && entry.key === key);
+      if (current === -1) {
+        changes.push({ type: 'added', path: [...path, index], value: deepCopy(item) });
+        working.splice(index, 0, { item, key: undefined });
+        return;
+      }
+      if (current !== index) {
+        const [entry] = working.splice(current, 1);
+        working.splice(index, 0, entry);
+        changes.push({ type: 'moved', from: [...path, current], path: [...path, index], value: deepCopy(entry.item) });
+      }
+      visit(working[index].item, item, [...path, index]);
+    });
+  };
+
+  function visit(before, after, path) {
+    if (Array.isArray(before) && Array.isArray(after)) {
+      if (keyOf) diffArraysByKey(before, after, path);
+      else diffArraysByIndex(before, after, path);
+      return;
+    }
+    if (isPlainObject(before) && isPlainObject(after)) {
+      for (const key of Object.keys(before)) {
+        if (!Object.prototype.hasOwnProperty.call(after, key)) {
+          changes.push({ type: 'removed', path: [...path, key], oldValue: deepCopy(before[key]) });
+        }
+      }
+      for (const key of Object.keys(after)) {
+        if (Object.prototype.hasOwnProperty.call(before, key)) visit(before[key], after[key], [...path, key]);
+        else changes.push({ type: 'added', path: [...path, key], value: deepCopy(after[key]) });
+      }
+      return;
+    }
+    if (!deepEqual(before, after)) {
+      changes.push({ type: 'changed', path, oldValue: deepCopy(before), value: deepCopy(after) });
+    }
+  }
+
+  visit(a, b, []);
+  return changes;
+}
+
+/**
+ * Converts a path array to a JSON Pointer (RFC 6901).
+ * @param {Array<string|number>} path - Keys and indices.
+ * @returns {string} JSON Pointer.
+ * @private
+ */
+function toPointer(path) {
+  return path.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Parses a JSON Pointer into path segments.
+ * @param {string} pointer - JSON Pointer.
+ * @returns {string[]} Segments.
+ * @throws {Error} If the pointer is malformed or targets `__proto__`.
+ * @private
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) throw new Error(`Invalid JSON Pointer: ${pointer}`);
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map(segment => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (key === '__proto__') throw new Error(`Invalid JSON Pointer: ${pointer}`);
+    return key;
+  });
+}
+
+/**
+ * Converts deepDiff changes to RFC 6902 JSON Patch operations.
+ * @param {Object[]} changes - Changes from deepDiff.
+ * @param {Object} [options={}] - Conversion options.
+ * @param {boolean} [options.includeTests=false] - Precede removals and replacements with `test` operations
+ *   on the old value, so the patch fails if the target changed in the meantime.
+ * @returns {Object[]} JSON Patch operations, or empty array if invalid.
+ */
+function toJsonPatch(changes, options = {}) {
+  if (!Array.isArray(changes)) return [];
+  const { includeTests = false } = options || {};
+  return changes.flatMap(change => {
+    const path = toPointer(change.path);
+    const test = includeTests ? [{ op: 'test', path, value: change.oldValue }] : [];
+    if (change.type === 'added') return [{ op: 'add', path, value: change.value }];
+    if (change.type === 'removed') return [...test, { op: 'remove', path }];
+    if (change.type === 'changed') return [...test, { op: 'replace', path, value: change.value }];
+    if (change.type === 'moved') return [{ op: 'move', from: toPointer(change.from), path }];
+    return [];
+  });
+}
+
+/**
+ * Creates a JSON Patch that turns `a` into `b`.
+ * @param {any} a - Original value.
+ * @param {any} b - Updated value.
+ * @param {Object} [options={}] - Options as for deepDiff and toJsonPatch.
+ * @returns {Object[]} JSON Patch operations.
+ * @throws {Error} If the arrayKey option is invalid.
+ * @example
+ * createJsonPatch({ nights: 2 }, { nights: 3, notes: 'Late arrival' });
+ * // [{ op: 'replace', path: '/nights', value: 3 }, { op: 'add', path: '/notes', value: 'Late arrival' }]
+ */
+function createJsonPatch(a, b, options = {}) {
+  return toJsonPatch(deepDiff(a, b, options), options);
+}
+
+/**
+ * Resolves the container and final key for a JSON Pointer.
+ * @param {any} doc - Document root.
+ * @param {string[]} segments - Pointer segments (at least one).
+ * @param {string} pointer - Original pointer (for messages).
+ * @returns {{parent: Object|Array, key: string|number}} Parent container and key.
+ * @throws {Error} If the path does not exist.
+ * @private
+ */
+function resolveParent(doc, segments, pointer) {
+  let parent = doc;
+  for (const segment of segments.slice(0, -1)) {
+    const key = Array.isArray(parent) ? toArrayIndex(segment, parent.length - 1, pointer) : segment;
+    if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, key)) {
+      throw new Error(`Path not found: ${pointer}`);
+    }
+    parent = parent[key];
+  }
+  if (parent === null || typeof parent !== 'object') throw new Error(`Path not found: ${pointer}`);
+  return { parent, key: segments[segments.length - 1] };
+}
+
+/**
+ * Parses an array index segment.
+ * @param {string} segment - Pointer segment.
+ * @param {number} max - Highest allowed index.
+ * @param {string} pointer - Original pointer (for messages).
+ * @returns {number} Index.
+ * @throws {Error} If the segment is not a valid index.
+ * @private
+ */
+function toArrayIndex(segment, max, pointer) {
+  if (!/^(0|[1-9]\d*)$/.test(segment) || Number(segment) > max) throw new Error(`Invalid array index in path: ${pointer}`);
+  return Number(segment);
+}
+
+/**
+ * Reads the value at a JSON Pointer.
+ * @param {any} doc - Document root.
+ * @param {string} pointer - JSON Pointer.
+ * @returns {any} Value.
+ * @throws {Error} If the pointer is invalid or the path does not exist.
+ * @private
+ */
+function getAtPointer(doc, pointer) {
+  const segments = parsePointer(pointer);
+  if (!segments.length) return doc;
+  const { parent, key } = resolveParent(doc, segments, pointer);
+  const index = Array.isArray(parent) ? toArrayIndex(key, parent.length - 1, pointer) : key;
+  if (!Object.prototype.hasOwnProperty.call(parent, index)) throw new Error(`Path not found: ${pointer}`);
+  return parent[index];
+}
+
+/**
+ * Applies a single JSON Patch operation in place.
+ * @param {any} doc - Document root.
+ * @param {Object} operation - Patch operation.
+ * @returns {any} New document root (changes when the root itself is replaced).
+ * @throws {Error} If the operation is invalid or fails.
+ * @private
+ */
+function applyOperation(doc, operation) {
+  if (!operation || typeof operation !== 'object') throw new Error('Invalid patch operation');
+  const { op, path } = operation;
+  const segments = parsePointer(path);
+  const remove = (pointer, parts) => {
+    const value = getAtPointer(doc, pointer);
+    const { parent, key } = resolveParent(doc, parts, pointer);
+    if (Array.isArray(parent)) parent.splice(Number(key), 1);
+    else delete parent[key];
+    return value;
+  };
+  const add = (pointer, parts, value) => {
+    if (!parts.length) return value;
+    const { parent, key } = resolveParent(doc, parts, pointer);
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : toArrayIndex(key, parent.length, pointer);
+      parent.splice(index, 0, value);
+    } else {
+      Object.defineProperty(parent, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+    return doc;
+  };
+  const requireValue = () => {
+    if (!('value' in operation)) throw new Error(`Missing value for ${op} at ${path}`);
+    return deepCopy(operation.value);
+  };
+
+  switch (op) {
+    case 'add':
+      return add(path, segments, requireValue());
+    case 'remove':
+      if (!segments.length) throw new Error('Cannot remove the document root');
+      remove(path, segments);
+      return doc;
+    case 'replace': {
+      const value = requireValue();
+      if (!segments.length) return value;
+      getAtPointer(doc, path);
+      const { parent, key } = resolveParent(doc, segments, path);
+      Object.defineProperty(parent, Array.isArray(parent) ? Number(key) : key, { value, writable: true, enumerable: true, configurable: true });
+      return doc;
+    }
+    case 'move': {
+      const fromSegments = parsePointer(operation.from);
+      if (operation.from === path) return doc;
+      if (path.startsWith(`${operation.from}/`)) throw new Error(`Cannot move ${operation.from} into itself`);
+      if (!fromSegments.length) throw new Error('Cannot move the document root');
+      return add(path, segments, remove(operation.from, fromSegments));
+    }
+    case 'copy':
+      return add(path, segments, deepCopy(getAtPointer(doc, operation.from)));
+    case 'test':
+      if (!deepEqual(getAtPointer(doc, path), operation.value)) throw new Error(`Test failed at ${path}`);
+      return doc;
+    default:
+      throw new Error(`Invalid patch operation: ${op}`);
+  }
+}
+
+/**
+ * Applies an RFC 6902 JSON Patch. The patch is atomic: if any operation fails, an error is thrown
+ * and the input is left unchanged.
+ * @param {any} doc - Document to patch.
+ * @param {Object[]} patch - JSON Patch operations (add, remove, replace, move, copy, test).
+ * @param {Object} [options={}] - Patch options.
+ * @param {boolean} [options.mutate=false] - Patch `doc` in place instead of a copy (not atomic).
+ * @returns {any} Patched document.
+ * @throws {Error} If the patch is invalid, a path does not exist or a test fails.
+ */
+function applyJsonPatch(doc, patch, options = {}) {
+  if (!Array.isArray(patch)) throw new Error('Invalid patch: expected an array of operations');
+  const { mutate = false } = options || {};
+  let result = mutate ? doc : deepCopy(doc);
+  for (const operation of patch) result = applyOperation(result, operation);
+  return result;
+}
+
+/**
+ * Builds the inverse of a JSON Patch, which turns the patched document back into `doc`.
+ * Needs the original document to recover removed and replaced values.
+ * @param {Object[]} patch - JSON Patch operations.
+ * @param {any} doc - Document the patch applies to.
+ * @returns {Object[]} Inverse JSON Patch operations.
+ * @throws {Error} If the patch does not apply to `doc`.
+ * @example
+ * const undo = reverseJsonPatch(patch, reservation);
+ * applyJsonPatch(applyJsonPatch(reservation, patch), undo); // deep-equals reservation
+ */
+function reverseJsonPatch(patch, doc) {
+  if (!Array.isArray(patch)) throw new Error('Invalid patch: expected an array of operations');
+  let current = deepCopy(doc);
+  const inverse = [];
+  const lookup = pointer => {
+    try {
+      return { found: true, value: deepCopy(getAtPointer(current, pointer)) };
+    } catch {
+      return { found: false };
+    }
+  };
+  // Resolves '-' (array end) to a concrete index so the inverse can address the inserted item.
+  const concretePath = pointer => {
+    const segments = parsePointer(pointer);
+    if (segments[segments.length - 1] !== '-') return pointer;
+    const parentPointer = toPointer(segments.slice(0, -1));
+    const parent = lookup(parentPointer).value;
+    return `${parentPointer}/${Array.isArray(parent) ? parent.length : '-'}`;
+  };
+
+  for (const operation of patch) {
+    const { op } = operation || {};
+    const path = op === 'add' || op === 'copy' || op === 'move' ? concretePath(operation.path) : operation.path;
+    const previous = lookup(path);
+    const segments = parsePointer(path);
+    const isArrayItem = segments.length > 0 && Array.isArray(lookup(toPointer(segments.slice(0, -1))).value);
+
+    if (op === 'add' || op === 'copy') {
+      // Adding to an object key that already exists replaces it; adding an array item shifts the rest.
+      if (path === '' || (previous.found && !isArrayItem)) inverse.push({ op: 'replace', path, value: previous.value });
+      else inverse.push({ op: 'remove', path });
+    } else if (op === 'remove') {
+      inverse.push({ op: 'add', path, value: previous.value });
+    } else if (op === 'replace') {
+      inverse.push({ op: 'replace', path, value: previous.value });
+    } else if (op === 'move') {
+      if (previous.found && !isArrayItem && path !== operation.from) {
+        // The move overwrote a value at the target; restore it after moving back.
+        inverse.push({ op: 'add', path, value: previous.value });
+      }
+      inverse.push({ op: 'move', from: path, path: operation.from });
+    }
+    current = applyOperation(current, { ...operation, path });
+  }
+  return inverse.reverse();
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  deepDiff,
+  toJsonPatch,
+  createJsonPatch,
+  applyJsonPatch,
+  reverseJsonPatch
+};
@@ -0,0 +1,318 @@
+/**
+ * Path-based access to nested values: get/set/has/unset/update, pick/omit and flatten/unflatten between
+ * nested objects and dotted-key maps. Paths are dot/bracket strings ('rooms[0].type', 'meta["x.y"]')
+ * or arrays of keys. Paths through `__proto__`, `constructor` or `prototype` are never followed.
+ * @module pathUtils
+ */
+
+// Keys that can reach or replace prototypes when assigned; shared with deepMerge.
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+const INDEX_PATTERN = /^(0|[1-9]\d*)$/;
+const SIMPLE_KEY_PATTERN = /^[^.[\]"']+$/;
+
+/**
+ * Checks whether a key could reach or replace a prototype when used in an assignment.
+ * Keys are compared as property keys, so `['__proto__']` (which converts to '__proto__') is unsafe too.
+ * @param {any} key - The key.
+ * @returns {boolean} True for `__proto__`, `constructor` and `prototype`.
+ */
+function isUnsafeKey(key) {
+  return typeof key !== 'symbol' && UNSAFE_KEYS.includes(String(key));
+}
+
+/**
+ * Converts a path into an array of keys.
+ * Supports dots, numeric brackets and quoted brackets for keys containing dots or brackets.
+ * Array items other than numbers and symbols are converted to strings once, so the keys that are
+ * checked are the keys that are used.
+ * @param {string|Array} path - Path such as 'a.b[0].c' or 'a["x.y"]', or an array of keys.
+ * @returns {Array} Keys (strings, numbers or symbols) or empty array if invalid.
+ * @example
+ * toPath('rooms[0]["bed.type"]'); // ['rooms', '0', 'bed.type']
+ * toPath([['__proto__'], 'polluted']); // ['__proto__', 'polluted']
+ */
+function toPath(path) {
+  if (Array.isArray(path)) {
+    return path.map(key => (typeof key === 'number' || typeof key === 'symbol' ? key : String(key)));
+  }
+  if (typeof path === 'number') return [String(path)];
+  if (typeof path !== 'string' || path === '') return [];
+  const keys = [];
+  let index = 0;
+  let current = '';
+  let pending = false;
+  while (index < path.length) {
+    const char = path[index];
+    if (char === '.') {
+      if (pending) keys.push(current);
+      current = '';
+      pending = true;
+      index++;
+    } else if (char === '[') {
+      if (current || (pending && path[index - 1] === '.')) keys.push(current);
+      current = '';
+      pending = false;
+      const quote = path[index + 1];
+      if (quote === '"' || quote === "'") {
+        let end = index + 2;
+        let key = '';
+        while (end < path.length && path[end] !== quote) {
+          if (path[end] === '\\' && end + 1 < path.length) end++;
+          key += path[end++];
+        }
+        keys.push(key);
+        index = path.indexOf(']', end) === -1 ? path.length : path.indexOf(']', end) + 1;
+      } else {
+        const end = path.indexOf(']', index);
+        keys.push(path.slice(index + 1, end === -1 ? path.length : end));
+        index = end === -1 ? path.length : end + 1;
+      }
+    } else {
+      current += char;
+      pending = true;
+      index++;
+    }
+  }
+  if (pending) keys.push(current);
+  return keys;
+}
+
+/**
+ * Formats keys as a path string that toPath parses back (keys with dots, brackets or quotes are quoted).
+ * @param {Array} keys - Keys.
+ * @param {boolean} brackets - Write array indices as `[0]` instead of `.0`.
+ * @returns {string} Path string.
+ * @private
+ */
+function formatPath(keys, brackets) {
+  return keys.reduce((path, key) => {
+    const text = String(key);
+    if (brackets && INDEX_PATTERN.test(text)) return `${path}[${text}]`;
+    if (!SIMPLE_KEY_PATTERN.test(text)) return `${path}[${JSON.stringify(text)}]`;
+    return path ? `${path}.${text}` : text;
+  }, '');
+}
+
+/**
+ * Resolves a path into keys, or null if it is empty or passes through an unsafe key.
+ * @param {string|Array} path - The path.
+ * @returns {Array|null} Keys or null.
+ * @private
+ */
+function safePath(path) {
+  const keys = toPath(path);
+  return keys.length && !keys.some(isUnsafeKey) ? keys : null;
+}
+
+/**
+ * Checks whether a value can hold properties along a path.
+ * @param {any} value - The value.
+ * @returns {boolean} True for objects and functions.
+ * @private
+ */
+function isContainer(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+/**
+ * Reads a nested value.
+ * @param {Object} obj - Source object.
+ * @param {string|Array} path - Path to read.
+ * @param {any} [defaultValue] - Returned when the value is missing or undefined.
+ * @returns {any} The value or defaultValue.
+ * @example
+ * get(order, 'rooms[0].guests.length', 0);
+ */
+function get(obj, path, defaultValue) {
+  const keys = safePath(path);
+  if (!keys) return defaultValue;
+  let current = obj;
+  for (const key of keys) {
+    if (!isContainer(current)) return defaultValue;
+    current = current[key];
+  }
+  return current === undefined ? defaultValue : current;
+}
+
+/**
+ * Checks whether a nested own property exists.
+ * @param {Object} obj - Source object.
+ * @param {string|Array} path - Path to check.
+ * @returns {boolean} True if every key along the path is an own property.
+ */
+function has(obj, path) {
+  const keys = safePath(path);
+  if (!keys) return false;
+  let current = obj;
+  for (const key of keys) {
+    if (!isContainer(current) || !Object.prototype.hasOwnProperty.call(current, key)) return false;
+    current = current[key];
+  }
+  return true;
+}
+
+/**
+ * Writes a nested value, creating missing containers: arrays when the next key is an index, objects otherwise.
+ * Paths through unsafe keys are ignored.
+ * @param {Object} obj - Target object (modified).
+ * @param {string|Array} path - Path to write.
+ * @param {any} value - Value to write.
+ * @returns {Object} The target object.
+ * @example
+ * set({}, 'filters.amenities[0]', 'pool'); // { filters: { amenities: ['pool'] } }
+ * set({}, [['__proto__'], 'polluted'], 1); // {} (ignored; Object.prototype is untouched)
+ */
+function set(obj, path, value) {
+  const keys = safePath(path);
+  if (!isContainer(obj) || !keys) return obj;
+  let current = obj;
+  keys.forEach((key, index) => {
+    if (index === keys.length - 1) {
+      current[key] = value;
+      return;
+    }
+    if (!isContainer(current[key])) {
+      const next = keys[index + 1];
+      current[key] = Number.isInteger(next) || INDEX_PATTERN.test(next) ? [] : {};
+    }
+    current = current[key];
+  });
+  return obj;
+}
+
+/**
+ * Replaces a nested value with the result of an updater function.
+ * @param {Object} obj - Target object (modified).
+ * @param {string|Array} path - Path to update.
+ * @param {Function} updater - (currentValue) => newValue.
+ * @returns {Object} The target object.
+ * @throws {Error} If updater is not a function.
+ * @example
+ * update(stats, 'views.total', count => (count || 0) + 1);
+ */
+function update(obj, path, updater) {
+  if (typeof updater !== 'function') throw new Error('Invalid updater function');
+  const keys = safePath(path);
+  if (!isContainer(obj) || !keys) return obj;
+  return set(obj, keys, updater(get(obj, keys)));
+}
+
+/**
+ * Deletes a nested property (array elements are deleted in place, leaving indices unchanged).
+ * @param {Object} obj - Target object (modified).
+ * @param {string|Array} path - Path to delete.
+ * @returns {boolean} True if a property was deleted, false otherwise.
+ */
+function unset(obj, path) {
+  const keys = safePath(path);
+  if (!keys || !has(obj, keys)) return false;
+  const parent = keys.length > 1 ? get(obj, keys.slice(0, -1)) : obj;
+  return delete parent[keys[keys.length - 1]];
+}
+
+/**
+ * Creates an object with only the given paths, keeping their nesting.
+ * @param {Object} obj - Source object.
+ * @param {Array} paths - Paths to keep.
+ * @returns {Object} New object or empty object if invalid.
+ * @example
+ * pick(booking, ['id', 'guest.email', 'rooms[0].type']); // { id, guest: { email }, rooms: [{ type }] }
+ */
+function pick(obj, paths) {
+  if (!isContainer(obj) || !Array.isArray(paths)) return {};
+  const result = {};
+  paths.forEach(path => {
+    const keys = safePath(path);
+    if (keys && has(obj, keys)) set(result, keys, get(obj, keys));
+  });
+  return result;
+}
+
+/**
+ * Creates a copy without the given paths. Only objects along the omitted paths are copied;
+ * other branches are shared with the source, which is not modified.
+ * @param {Object} obj - Source object.
+ * @param {Array} paths - Paths to remove.
+ * @returns {Object} New object or empty object if invalid.
+ */
+function omit(obj, paths) {
+  if (!isContainer(obj) || !Array.isArray(paths)) return {};
+  const copy = container => (Array.isArray(container) ? container.slice() : Object.assign({}, container));
+  const result = copy(obj);
+  paths.forEach(path => {
+    const keys = safePath(path);
+    if (!keys || !has(result, keys)) return;
+    let current = result;
+    keys.slice(0, -1).forEach(key => {
+      current[key] = copy(current[key]);
+      current = current[key];
+    });
+    delete current[keys[keys.length - 1]];
+  });
+  return result;
+}
+
+/**
+ * Flattens nested plain objects and arrays into a map of path strings to leaf values.
+ * Empty objects and arrays are kept as values so that unflatten restores them; unsafe keys are skipped.
+ * @param {Object} obj - Source object.
+ * @param {Object} [options={}] - Flatten options.
+ * @param {boolean} [options.brackets=false] - Write array indices as `rooms[0].type` instead of `rooms.0.type`.
+ * @returns {Object} Flat object or empty object if invalid.
+ * @example
+ * flatten({ guest: { name: 'Ana' }, rooms: [{ type: 'double' }] });
+ * // { 'guest.name': 'Ana', 'rooms.0.type': 'double' }
+ */
+function flatten(obj, options = {}) {
+  if (!isContainer(obj)) return {};
+  const { brackets = false } = options || {};
+  const result = {};
+  const ancestors = new Set();
+  const isNested = value => Array.isArray(value)
+    || (value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value)));
+  const visit = (value, keys) => {
+    const entries = isNested(value) && !ancestors.has(value) ? Object.keys(value) : null;
+    if (keys.length && (!entries || !entries.length)) {
+      result[formatPath(keys, brackets)] = value;
+      return;
+    }
+    if (!entries) return;
+    ancestors.add(value);
+    entries.forEach(key => {
+      if (!isUnsafeKey(key)) visit(value[key], keys.concat(key));
+    });
+    ancestors.delete(value);
+  };
+  visit(obj, []);
+  return result;
+}
+
+/**
+ * Builds a nested object from a map of path strings (the inverse of flatten).
+ * @param {Object} flat - Flat object whose keys are paths.
+ * @returns {Object} Nested object or empty object if invalid.
+ * @example
+ * unflatten({ 'guest.name': 'Ana', 'rooms[0].type': 'double' });
+ * // { guest: { name: 'Ana' }, rooms: [{ type: 'double' }] }
+ */
+function unflatten(flat) {
+  if (!isContainer(flat)) return {};
+  const result = {};
+  Object.keys(flat).forEach(key => set(result, key, flat[key]));
+  return result;
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  isUnsafeKey,
+  toPath,
+  get,
+  set,
+  has,
+  unset,
+  update,
+  pick,
+  omit,
+  flatten,
+  unflatten
+};
@@ -0,0 +1,291 @@
+/**
+ * Nested query string parsing and serialization with bracket and dot notation, configurable array
+ * formats, opt-in (or schema-driven) type coercion and round-trip-safe encoding.
+ * @module queryUtils
+ */
+
+const { isSchema, validateSync } = require('./schema-utils');
+
+const ARRAY_FORMATS = ['repeat', 'brackets', 'indices', 'comma'];
+const NULL_FORMATS = ['empty', 'bare', 'skip'];
+const INDEX_PATTERN = /^(0|[1-9]\d*)$/;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Decodes a query string component, treating '+' as a space and keeping malformed escapes as-is.
+ * @param {string} text - Encoded text.
+ * @returns {string} Decoded text.
+ * @private
+ */
+function decode(text) {
+  const spaced = text.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(spaced);
+  } catch {
+    return spaced;
+  }
+}
+
+/**
+ * Splits a raw (still encoded) key into path segments: `a[b][]` and, with allowDots, `a.b`.
+ * Only literal brackets and dots are structure; encoded ones (`%5B`, `%2E`) belong to the key.
+ * Segments past `depth` are kept together as one literal key.
+ * @param {string} rawKey - Encoded key.
+ * @param {boolean} allowDots - Whether dots separate segments.
+ * @param {number} depth - Maximum nesting depth.
+ * @returns {string[]} Segments, still encoded ('' for `[]`).
+ * @private
+ */
+function parseKeyPath(rawKey, allowDots, depth) {
+  const key = allowDots ? rawKey.replace(/\.([^.[\]]+)/g, '[$1]') : rawKey;
+  const open = key.indexOf('[');
+  if (open <= 0) return [rawKey];
+  const segments = [key.slice(0, open)];
+  const bracket = /\[([^[\]]*)\]/y;
+  let position = open;
+  while (segments.length <= depth) {
+    bracket.lastIndex = position;
+    const match = bracket.exec(key);
+    if (!match) break;
+    segments.push(match[1]);
+    position = bracket.lastIndex;
+  }
+  if (position < key.length) segments.push(key.slice(position));
+  return segments;
+}
+
+/**
+ * Sets an own property without invoking setters such as `__proto__`.
+ * @param {Object} target - Target object.
+ * @param {string} key - Property key.
+ * @param {any} value - Value.
+ * @private
+ */
+function defineValue(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Converts the parse tree (Maps for containers, arrays for repeated values) into objects and arrays.
+ * Containers whose keys are all array indices up to `arrayLimit` become (compacted) arrays, unless
+ * one of the keys was written encoded (`m[%31]`), which marks the container as an object.
+ * @param {any} node - Tree node.
+ * @param {number} arrayLimit - Highest index treated as an array index.
+ * @param {WeakSet} objectNodes - Containers that must stay objects.
+ * @returns {any} Plain value.
+ * @private
+ */
+function finalize(node, arrayLimit, objectNodes) {
+  if (Array.isArray(node)) return node.map(item => finalize(item, arrayLimit, objectNodes));
+  if (!(node instanceof Map)) return node;
+  const keys = [...node.keys()];
+  if (keys.length && !objectNodes.has(node) && keys.every(key => INDEX_PATTERN.test(key) && Number(key) <= arrayLimit)) {
+    return keys.sort((a, b) => a - b).map(key => finalize(node.get(key), arrayLimit, objectNodes));
+  }
+  const result = {};
+  keys.forEach(key => defineValue(result, key, finalize(node.get(key), arrayLimit, objectNodes)));
+  return result;
+}
+
+/**
+ * Coerces 'true'/'false' to booleans and numeric strings that survive the round trip through Number
+ * to numbers (so '00123', '1.50' and '12345678901234567890' stay strings).
+ * @param {any} value - Parsed value.
+ * @returns {any} Coerced value.
+ * @private
+ */
+function coerceValue(value) {
+  if (Array.isArray(value)) return value.map(coerceValue);
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => defineValue(result, key, coerceValue(value[key])));
+    return result;
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value) && String(Number(value)) === value) return Number(value);
+  return value;
+}
+
+/**
+ * Coerces parsed values field by field following a schema from schema-utils. Values that do not fit
+ * their schema are left as parsed; a single value for an array schema becomes a one-item array.
+ * @param {any} value - Parsed value.
+ * @param {Object} schema - Schema.
+ * @returns {any} Coerced value.
+ * @private
+ */
+function coerceWithSchema(value, schema) {
+  if (value === undefined) return value;
+  const { kind, shape, item } = schema.definition;
+  if (kind === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      const child = Object.prototype.hasOwnProperty.call(shape, key) ? shape[key] : null;
+      defineValue(result, key, child ? coerceWithSchema(value[key], child) : value[key]);
+    });
+    return result;
+  }
+  if (kind === 'array') {
+    return (Array.isArray(value) ? value : [value]).map(entry => coerceWithSchema(entry, item));
+  }
+  const result = validateSync(schema, value, { coerce: true });
+  return result.valid ? result.value : value;
+}
+
+/**
+ * Parses a query string into nested objects and arrays.
+ * Repeated keys (`tag=a&tag=b`) and `tag[]=a` collect into arrays; `filters[price][min]=10` (or
+ * `filters.price.min=10` with allowDots) builds nested objects. A key used both for a value and for
+ * nested keys keeps both (`a=1&a[b]=2` parses as `{ a: ['1', { b: '2' }] }`). Values stay strings unless
+ * `coerce` is set. Keys are assigned as own properties, so `__proto__` cannot pollute prototypes.
+ * @param {string} query - Query string, with or without a leading '?'.
+ * @param {Object} [options={}] - Parse options.
+ * @param {boolean} [options.allowDots=false] - Treat dots in keys as nesting.
+ * @param {string} [options.arrayFormat='repeat'] - With 'comma', values containing commas are split into arrays.
+ * @param {boolean|Object} [options.coerce=false] - true converts booleans and numbers; a schema from
+ *   schema-utils converts each field to its schema type.
+ * @param {string} [options.nulls='empty'] - With 'bare', keys without '=' parse as null (otherwise as '').
+ * @param {number} [options.depth=10] - Maximum nesting depth; deeper brackets stay part of the key.
+ * @param {number} [options.arrayLimit=100] - Highest index parsed as an array index; larger ones become object keys.
+ * @returns {Object} Parsed object or empty object if invalid.
+ * @throws {Error} If arrayFormat or nulls is invalid.
+ * @example
+ * parseQuery('q=spa&tag=pool&tag=gym&filters[price][min]=10&zip=00123', { coerce: true });
+ * // { q: 'spa', tag: ['pool', 'gym'], filters: { price: { min: 10 } }, zip: '00123' }
+ */
+function parseQuery(query, options = {}) {
+  if (typeof query !== 'string') return {};
+  const { allowDots = false, arrayFormat = 'repeat', coerce = false, nulls = 'empty', depth = 10, arrayLimit = 100 } = options || {};
+  if (!ARRAY_FORMATS.includes(arrayFormat) || !NULL_FORMATS.includes(nulls)) {
+    throw new Error('Invalid query string options');
+  }
+  const root = new Map();
+  const nextIndex = new WeakMap();
+  const objectNodes = new WeakSet();
+
+  for (const part of query.replace(/^\?/, '').split('&')) {
+    if (!part) continue;
+    const separator = part.indexOf('=');
+    const rawKey = separator === -1 ? part : part.slice(0, separator);
+    if (!rawKey) continue;
+    const rawValue = separator === -1 ? null : part.slice(separator + 1);
+    let value;
+    if (rawValue === null) value = nulls === 'bare' ? null : '';
+    else if (arrayFormat === 'comma' && rawValue.includes(',')) value = rawValue.split(',').map(decode);
+    else value = decode(rawValue);
+
+    const segments = parseKeyPath(rawKey, allowDots, depth);
+    let node = root;
+    segments.forEach((segment, index) => {
+      let key = decode(segment);
+      if (segment === '' && index > 0) {
+        key = String(nextIndex.get(node) || 0);
+      } else if (!INDEX_PATTERN.test(segment)) {
+        objectNodes.add(node);
+      }
+      if (INDEX_PATTERN.test(key)) nextIndex.set(node, Math.max(nextIndex.get(node) || 0, Number(key) + 1));
+      if (index === segments.length - 1) {
+        node.set(key, node.has(key) ? [].concat(node.get(key), value) : value);
+        return;
+      }
+      // Nested keys go into the container already under this key, or one added next to its values.
+      const existing = node.get(key);
+      const last = Array.isArray(existing) ? existing[existing.length - 1] : existing;
+      if (last instanceof Map) {
+        node = last;
+        return;
+      }
+      const child = new Map();
+      node.set(key, node.has(key) ? [].concat(existing, child) : child);
+      node = child;
+    });
+  }
+
+  const result = finalize(root, arrayLimit, objectNodes);
+  const parsed = Array.isArray(result) ? Object.assign({}, result) : result;
+  if (isSchema(coerce)) return coerceWithSchema(parsed, coerce);
+  return coerce ? coerceValue(parsed) : parsed;
+}
+
+/**
+ * Serializes an object into a query string; the inverse of parseQuery with the same options.
+ * Nested objects use brackets (or dots with allowDots); arrays of objects always use indices, and one-item
+ * arrays use `a[]=1` in the 'repeat' and 'comma' formats so that they parse back as arrays. Nested keys that
+ * look like array indices are written with an encoded first digit (`m[%31]=x`) so that they parse back as
+ * object keys. Dates are written as ISO strings; empty arrays and objects are omitted.
+ * @param {Object} obj - Object to serialize.
+ * @param {Object} [options={}] - Serialization options.
+ * @param {boolean} [options.allowDots=false] - Write nested keys as `a.b` instead of `a[b]`.
+ * @param {string} [options.arrayFormat='repeat'] - 'repeat' (`a=1&a=2`), 'brackets' (`a[]=1&a[]=2`),
+ *   'indices' (`a[0]=1&a[1]=2`) or 'comma' (`a=1,2`).
+ * @param {string} [options.nulls='empty'] - Null values as 'empty' (`a=`), 'bare' (`a`) or 'skip'.
+ * @param {boolean} [options.skipUndefined=true] - Omit undefined values; otherwise treat them like null.
+ * @param {boolean|Function} [options.sort=false] - Sort keys at every level (true for code-unit order,
+ *   or a comparator); array order is kept.
+ * @returns {string} Query string (without '?') or empty string if invalid.
+ * @throws {Error} If arrayFormat or nulls is invalid.
+ * @example
+ * stringifyQuery({ q: 'spa', tag: ['pool', 'gym'], filters: { price: { min: 10 } } }, { sort: true });
+ * // 'filters[price][min]=10&q=spa&tag=pool&tag=gym'
+ */
+function stringifyQuery(obj, options = {}) {
+  if (!obj || typeof obj !== 'object') return '';
+  const { allowDots = false, arrayFormat = 'repeat', nulls = 'empty', skipUndefined = true, sort = false } = options || {};
+  if (!ARRAY_FORMATS.includes(arrayFormat) || !NULL_FORMATS.includes(nulls)) {
+    throw new Error('Invalid query string options');
+  }
+  const compare = typeof sort === 'function' ? sort : undefined;
+  // Literal dots in keys are escaped so that dot notation stays unambiguous.
+  const encodeKey = (key, nested) => {
+    if (nested && INDEX_PATTERN.test(key)) return `%3${key[0]}${key.slice(1)}`;
+    return allowDots ? encodeURIComponent(key).replace(/\./g, '%2E') : encodeURIComponent(key);
+  };
+  const isContainer = value => value !== null && typeof value === 'object' && !(value instanceof Date);
+  const toText = value => (value instanceof Date ? (Number.isNaN(value.getTime()) ? '' : value.toISOString()) : String(value));
+  const pairs = [];
+  const seen = new WeakSet();
+
+  const write = (value, prefix) => {
+    if (value === undefined && skipUndefined) return;
+    if (value === null || value === undefined) {
+      if (nulls === 'bare') pairs.push(prefix);
+      else if (nulls === 'empty') pairs.push(`${prefix}=`);
+      return;
+    }
+    if (typeof value === 'function' || typeof value === 'symbol') return;
+    if (!isContainer(value)) {
+      pairs.push(`${prefix}=${encodeURIComponent(toText(value))}`);
+      return;
+    }
+    if (seen.has(value)) return;
+    seen.add(value);
+    if (Array.isArray(value)) {
+      if (value.some(isContainer) || arrayFormat === 'indices') {
+        value.forEach((item, index) => write(item, `${prefix}[${index}]`));
+      } else if (arrayFormat === 'comma') {
+        const items = value.filter(item => item !== null && item !== undefined);
+        const key = items.length === 1 ? `${prefix}[]` : prefix;
+        if (items.length) pairs.push(`${key}=${items.map(item => encodeURIComponent(toText(item))).join(',')}`);
+      } else {
+        value.forEach(item => write(item, arrayFormat === 'brackets' || value.length === 1 ? `${prefix}[]` : prefix));
+      }
+    } else {
+      const keys = Object.keys(value);
+      if (sort) keys.sort(compare);
+      keys.forEach(key => {
+        const encoded = encodeKey(key, Boolean(prefix));
+        write(value[key], prefix ? (allowDots ? `${prefix}.${encoded}` : `${prefix}[${encoded}]`) : encoded);
+      });
+    }
+    seen.delete(value);
+  };
+
+  write(Array.isArray(obj) ? Object.assign({}, obj) : obj, '');
+  return pairs.join('&');
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  parseQuery,
+  stringifyQuery
+};
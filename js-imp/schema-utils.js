@@ -0,0 +1,468 @@
+/**
+ * Composable schema validation with coercion, async validators and per-field errors with JSON paths
+ * and localizable messages.
+ * @module schemaUtils
+ */
+
+/**
+ * Default (English) messages per error code. Placeholders like {min} are filled from the error params.
+ */
+const DEFAULT_MESSAGES = {
+  required: 'Is required',
+  type: 'Must be of type {type}',
+  enum: 'Must be one of: {values}',
+  union: 'Does not match any allowed type',
+  custom: 'Is invalid',
+  'string.min': 'Must be at least {min} characters',
+  'string.max': 'Must be at most {max} characters',
+  'string.length': 'Must be exactly {length} characters',
+  'string.pattern': 'Has an invalid format',
+  'number.min': 'Must be at least {min}',
+  'number.max': 'Must be at most {max}',
+  'number.integer': 'Must be a whole number',
+  'date.min': 'Must be on or after {min}',
+  'date.max': 'Must be on or before {max}',
+  'array.min': 'Must contain at least {min} items',
+  'array.max': 'Must contain at most {max} items',
+  'array.length': 'Must contain exactly {length} items',
+  'object.unknown': 'Is not an allowed field'
+};
+
+const TYPE_CHECKS = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => value instanceof Date && !Number.isNaN(value.getTime()),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  enum: () => true,
+  union: () => true
+};
+
+// Coercions return the input unchanged when it cannot be converted, so the type check reports it.
+const COERCIONS = {
+  string: value => (typeof value === 'number' || typeof value === 'boolean' ? String(value) : value),
+  number: value => {
+    if (typeof value !== 'string' || !value.trim()) return value;
+    const number = Number(value.trim());
+    return Number.isNaN(number) ? value : number;
+  },
+  boolean: value => {
+    if (typeof value === 'string') {
+      const normalized = value.trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+      if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+    }
+    if (value === 1 || value === 0) return value === 1;
+    return value;
+  },
+  date: value => {
+    if (typeof value === 'number' || (typeof value === 'string' && value.trim())) {
+      const date = new Date(typeof value === 'string' ? value.trim() : value);
+      return Number.isNaN(date.getTime()) ? value : date;
+    }
+    return value;
+  }
+};
+
+/**
+ * Creates an immutable schema from a definition, with chainable methods that return new schemas.
+ * @param {Object} definition - Schema definition.
+ * @returns {Object} Schema.
+ * @private
+ */
+function makeSchema(definition) {
+  const derive = patch => makeSchema({ ...definition, ...patch });
+  const addRule = (code, params, test, message) => derive({ rules: [...definition.rules, { code, params, test, message }] });
+  const { kind } = definition;
+  const schema = {
+    definition,
+    /** Allows `undefined`. */
+    optional: () => derive({ optional: true }),
+    /** Allows `null`. */
+    nullable: () => derive({ nullable: true }),
+    /** Uses a value (or the result of a function) when the input is `undefined`. */
+    default: value => derive({ hasDefault: true, defaultValue: value }),
+    /** Converts compatible input (e.g., '42' to 42) before validating. */
+    coerce: () => derive({ coerce: true }),
+    /** Transforms the value after it passed validation. */
+    transform: fn => derive({ transforms: [...definition.transforms, fn] }),
+    /**
+     * Adds a custom validator (value, { path, root }) => boolean | string | Promise, run after the built-in rules.
+     * Return false (or a message string) for invalid values; `message` is a string or { code, params }.
+     */
+    custom: (fn, message) => {
+      if (typeof fn !== 'function') throw new Error('Invalid custom validator');
+      return derive({ customs: [...definition.customs, { fn, message }] });
+    }
+  };
+
+  const sized = kind === 'string' || kind === 'array';
+  const measure = value => (sized ? value.length : value instanceof Date ? value.getTime() : value);
+  const limit = bound => (kind === 'date' ? new Date(bound).getTime() : bound);
+  const display = bound => (kind === 'date' ? new Date(bound).toISOString() : bound);
+  if (sized || kind === 'number' || kind === 'date') {
+    schema.min = (min, message) => addRule(`${kind}.min`, { min: display(min) }, value => measure(value) >= limit(min), message);
+    schema.max = (max, message) => addRule(`${kind}.max`, { max: display(max) }, value => measure(value) <= limit(max), message);
+  }
+  if (sized) {
+    schema.length = (length, message) => addRule(`${kind}.length`, { length }, value => value.length === length, message);
+  }
+  if (kind === 'string') {
+    schema.pattern = (regex, message) => {
+      if (!(regex instanceof RegExp)) throw new Error('Invalid pattern');
+      return addRule('string.pattern', { pattern: String(regex) }, value => {
+        regex.lastIndex = 0;
+        return regex.test(value);
+      }, message);
+    };
+    schema.trim = () => derive({ trim: true });
+  }
+  if (kind === 'number') {
+    schema.int = message => addRule('number.integer', {}, value => Number.isInteger(value), message);
+  }
+  if (kind === 'object') {
+    /** Sets how unknown keys are handled: 'strip' (default), 'allow' or 'error'. */
+    schema.unknown = mode => {
+      if (!['strip', 'allow', 'error'].includes(mode)) throw new Error('Invalid unknown-key mode');
+      return derive({ unknownKeys: mode });
+    };
+  }
+  return Object.freeze(schema);
+}
+
+/**
+ * Creates a base definition for a schema kind.
+ * @param {string} kind - Schema kind.
+ * @param {Object} [extra={}] - Kind-specific fields.
+ * @returns {Object} Schema.
+ * @private
+ */
+function createSchema(kind, extra = {}) {
+  return makeSchema({
+    kind, rules: [], transforms: [], customs: [], optional: false, nullable: false, coerce: false, ...extra
+  });
+}
+
+/**
+ * Checks whether a value is a schema created by this module.
+ * @param {any} value - The value.
+ * @returns {boolean} True for schemas.
+ */
+function isSchema(value) {
+  return Boolean(value && typeof value === 'object' && value.definition && TYPE_CHECKS[value.definition.kind]);
+}
+
+/**
+ * Creates a string schema (min/max/length count UTF-16 code units).
+ * @returns {Object} Schema.
+ */
+function string() {
+  return createSchema('string');
+}
+
+/**
+ * Creates a finite number schema.
+ * @returns {Object} Schema.
+ */
+function number() {
+  return createSchema('number');
+}
+
+/**
+ * Creates a boolean schema (coercion accepts 'true'/'false', '1'/'0', 'yes'/'no', 'on'/'off').
+ * @returns {Object} Schema.
+ */
+function boolean() {
+  return createSchema('boolean');
+}
+
+/**
+ * Creates a valid Date schema (coercion accepts date strings and timestamps).
+ * @returns {Object} Schema.
+ */
+function date() {
+  return createSchema('date');
+}
+
+/**
+ * Creates a schema accepting any value.
+ * @returns {Object} Schema.
+ */
+function any() {
+  return createSchema('any');
+}
+
+/**
+ * Object schema with a schema per key. Unknown keys are stripped unless `.unknown('allow' | 'error')` is set.
+ * @param {Object<string, Object>} shape - Schemas per key.
+ * @returns {Object} Schema.
+ * @throws {Error} If the shape is invalid.
+ */
+function object(shape) {
+  if (!shape || typeof shape !== 'object' || !Object.values(shape).every(isSchema)) {
+    throw new Error('Invalid object shape: expected a schema per key');
+  }
+  return createSchema('object', { shape, unknownKeys: 'strip' });
+}
+
+/**
+ * Array schema whose items all match a schema.
+ * @param {Object} item - Item schema.
+ * @returns {Object} Schema.
+ * @throws {Error} If the item schema is invalid.
+ */
+function array(item) {
+  if (!isSchema(item)) throw new Error('Invalid array item schema');
+  return createSchema('array', { item });
+}
+
+/**
+ * Schema matching the first of several schemas that accepts the value.
+ * Async validators of the matched schema run afterwards; if they fail, the union is invalid with their
+ * errors (later schemas are not tried).
+ * @param {Object[]} options - Candidate schemas.
+ * @returns {Object} Schema.
+ * @throws {Error} If the options are invalid.
+ */
+function union(options) {
+  if (!Array.isArray(options) || !options.length || !options.every(isSchema)) throw new Error('Invalid union options');
+  return createSchema('union', { options });
+}
+
+/**
+ * Schema accepting only the given values (compared with ===).
+ * @param {Array} values - Allowed values.
+ * @returns {Object} Schema.
+ * @throws {Error} If values is not a non-empty array.
+ */
+function enumOf(values) {
+  if (!Array.isArray(values) || !values.length) throw new Error('Invalid enum values');
+  return createSchema('enum', { values }).custom(value => values.includes(value), { code: 'enum', params: { values } });
+}
+
+/**
+ * Appends a key or index to a JSON path.
+ * @param {string} path - Parent path.
+ * @param {string|number} key - Key or index.
+ * @returns {string} Child path.
+ * @private
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Formats an error message from a custom message, the catalog or the defaults.
+ * @param {string} code - Error code.
+ * @param {Object} params - Message params.
+ * @param {string|undefined} custom - Message given on the rule.
+ * @param {Object} ctx - Validation context.
+ * @param {string} path - JSON path.
+ * @returns {string} Message.
+ * @private
+ */
+function formatMessage(code, params, custom, ctx, path) {
+  let template = custom;
+  if (template === undefined && typeof ctx.messages === 'function') template = ctx.messages(code, params, path);
+  if (template === undefined && ctx.messages && typeof ctx.messages === 'object') template = ctx.messages[code];
+  if (template === undefined) template = DEFAULT_MESSAGES[code] || DEFAULT_MESSAGES.custom;
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    return Array.isArray(params[name]) ? params[name].join(', ') : String(params[name]);
+  });
+}
+
+/**
+ * Records a validation error.
+ * @param {Object} ctx - Validation context.
+ * @param {string} path - JSON path.
+ * @param {string} code - Error code.
+ * @param {Object} [params={}] - Message params.
+ * @param {string} [custom] - Message given on the rule.
+ * @private
+ */
+function addError(ctx, path, code, params = {}, custom) {
+  ctx.errors.push({ path, code, params, message: formatMessage(code, params, custom, ctx, path) });
+}
+
+/**
+ * Records an error for a failed custom validator result (false or a message string).
+ * @param {any} result - Validator result.
+ * @param {Object} custom - Custom validator { fn, message }; message may be a string or { code, params }.
+ * @param {Object} ctx - Validation context.
+ * @param {string} path - JSON path.
+ * @private
+ */
+function handleCustomResult(result, custom, ctx, path) {
+  if (result === true || result === undefined) return;
+  const { code = 'custom', params = {} } = custom.message && typeof custom.message === 'object' ? custom.message : {};
+  const message = typeof result === 'string' ? result : typeof custom.message === 'string' ? custom.message : undefined;
+  addError(ctx, path, code, params, message);
+}
+
+/**
+ * Validates and converts a value against a schema definition, collecting errors and pending async checks.
+ * @param {Object} definition - Schema definition.
+ * @param {any} input - The value.
+ * @param {string} path - JSON path.
+ * @param {Object} ctx - Validation context { errors, pending, messages, coerce, root }.
+ * @returns {any} Validated (possibly converted) value.
+ * @private
+ */
+function run(definition, input, path, ctx) {
+  let value = input;
+  if (value === undefined && definition.hasDefault) {
+    value = typeof definition.defaultValue === 'function' ? definition.defaultValue() : definition.defaultValue;
+  }
+  if (value === undefined) {
+    if (!definition.optional) addError(ctx, path, 'required');
+    return undefined;
+  }
+  if (value === null) {
+    if (!definition.nullable) addError(ctx, path, 'required');
+    return null;
+  }
+
+  const { kind } = definition;
+  if ((definition.coerce || ctx.coerce) && COERCIONS[kind]) value = COERCIONS[kind](value);
+  if (kind === 'string' && definition.trim && typeof value === 'string') value = value.trim();
+  if (!TYPE_CHECKS[kind](value)) {
+    addError(ctx, path, 'type', { type: kind });
+    return value;
+  }
+
+  const errorCount = ctx.errors.length;
+  if (kind === 'object') {
+    const output = {};
+    const assign = (key, item) => {
+      if (item !== undefined) Object.defineProperty(output, key, { value: item, writable: true, enumerable: true, configurable: true });
+    };
+    for (const [key, child] of Object.entries(definition.shape)) {
+      const present = Object.prototype.hasOwnProperty.call(value, key);
+      assign(key, run(child.definition, present ? value[key] : undefined, childPath(path, key), ctx));
+    }
+    for (const key of Object.keys(value)) {
+      if (Object.prototype.hasOwnProperty.call(definition.shape, key)) continue;
+      if (definition.unknownKeys === 'error') addError(ctx, childPath(path, key), 'object.unknown');
+      else if (definition.unknownKeys === 'allow') assign(key, value[key]);
+    }
+    value = output;
+  } else if (kind === 'array') {
+    value = value.map((item, index) => run(definition.item.definition, item, childPath(path, index), ctx));
+  } else if (kind === 'union') {
+    let matched = false;
+    for (const option of definition.options) {
+      const attempt = { ...ctx, errors: [], pending: [] };
+      const result = run(option.definition, value, path, attempt);
+      if (!attempt.errors.length) {
+        // Async checks record their errors on the attempt; report them once they have run.
+        if (attempt.pending.length) {
+          ctx.pending.push(Promise.all(attempt.pending).then(() => ctx.errors.push(...attempt.errors)));
+        }
+        value = result;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) addError(ctx, path, 'union');
+  }
+  if (ctx.errors.length > errorCount) return value;
+
+  for (const rule of definition.rules) {
+    if (!rule.test(value)) {
+      addError(ctx, path, rule.code, rule.params, rule.message);
+      return value;
+    }
+  }
+  for (const transform of definition.transforms) value = transform(value);
+  for (const custom of definition.customs) {
+    const result = custom.fn(value, { path, root: ctx.root });
+    if (result && typeof result.then === 'function') {
+      ctx.pending.push(Promise.resolve(result).then(outcome => handleCustomResult(outcome, custom, ctx, path)));
+    } else {
+      handleCustomResult(result, custom, ctx, path);
+      if (ctx.errors.length > errorCount) break;
+    }
+  }
+  return value;
+}
+
+/**
+ * Runs the synchronous part of a validation.
+ * @param {Object} schema - Schema.
+ * @param {any} value - The value to validate.
+ * @param {Object} options - Validation options.
+ * @returns {{ctx: Object, output: any}} Context (with pending async checks) and converted value.
+ * @throws {Error} If the schema is invalid.
+ * @private
+ */
+function start(schema, value, options) {
+  if (!isSchema(schema)) throw new Error('Invalid schema');
+  const { messages, coerce = false } = options || {};
+  const ctx = { errors: [], pending: [], messages, coerce, root: value };
+  const output = run(schema.definition, value, '$', ctx);
+  return { ctx, output };
+}
+
+/**
+ * Validates a value against a schema, running async validators. Every invalid field is reported.
+ * @param {Object} schema - Schema built with this module.
+ * @param {any} value - The value to validate (not modified).
+ * @param {Object} [options={}] - Validation options.
+ * @param {Object|Function} [options.messages] - Message catalog by error code (e.g., { 'string.min': 'Mindestens {min} Zeichen' })
+ *   or (code, params, path) => message; falls back to DEFAULT_MESSAGES.
+ * @param {boolean} [options.coerce=false] - Coerce all values (as if every schema used `.coerce()`).
+ * @returns {Promise<{valid: boolean, value: any, errors: Object[]}>} Result with the converted value and
+ *   errors { path, code, params, message }, where path is a JSON path such as '$.rooms[0].guests'.
+ * @throws {Error} If the schema is invalid; rejects if an async validator rejects.
+ * @example
+ * const booking = object({
+ *   email: string().trim().pattern(/^[^@\s]+@[^@\s]+$/),
+ *   nights: number().coerce().int().min(1),
+ *   rooms: array(object({ type: enumOf(['single', 'double']), guests: number().min(1).max(4) })).min(1),
+ *   notes: string().max(500).optional()
+ * });
+ * const { valid, errors } = await validate(booking, body);
+ */
+async function validate(schema, value, options = {}) {
+  const { ctx, output } = start(schema, value, options);
+  await Promise.all(ctx.pending);
+  return { valid: ctx.errors.length === 0, value: ctx.errors.length ? undefined : output, errors: ctx.errors };
+}
+
+/**
+ * Validates a value synchronously.
+ * @param {Object} schema - Schema built with this module.
+ * @param {any} value - The value to validate (not modified).
+ * @param {Object} [options={}] - Options as for validate.
+ * @returns {{valid: boolean, value: any, errors: Object[]}} Validation result.
+ * @throws {Error} If the schema is invalid or uses an async validator.
+ */
+function validateSync(schema, value, options = {}) {
+  const { ctx, output } = start(schema, value, options);
+  if (ctx.pending.length) {
+    ctx.pending.forEach(pending => pending.catch(() => {}));
+    throw new Error('Schema contains async validators; use validate()');
+  }
+  return { valid: ctx.errors.length === 0, value: ctx.errors.length ? undefined : output, errors: ctx.errors };
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  DEFAULT_MESSAGES,
+  string,
+  number,
+  boolean,
+  date,
+  any,
+  object,
+  array,
+  union,
+  enumOf,
+  validate,
+  validateSync,
+  isSchema
+};
@@ -0,0 +1,319 @@
+/**
+ * Binary-to-text codecs (Base64, Base64URL, Base32, hex) with correct UTF-8 handling.
+ * Works the same in Node.js and browsers: only TextEncoder/TextDecoder are required.
+ * @module codecUtils
+ */
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const HEX_ALPHABET = '0123456789abcdef';
+
+/**
+ * Builds a character-to-value lookup for an alphabet.
+ * @param {string} alphabet - Alphabet characters in value order.
+ * @returns {Map<string, number>} Lookup map.
+ * @private
+ */
+function buildLookup(alphabet) {
+  return new Map(Array.from(alphabet, (char, index) => [char, index]));
+}
+
+const BASE64_LOOKUP = buildLookup(BASE64_ALPHABET);
+const BASE64URL_LOOKUP = buildLookup(BASE64URL_ALPHABET);
+const BASE32_LOOKUP = buildLookup(BASE32_ALPHABET);
+
+/**
+ * Encodes a string as UTF-8 bytes.
+ * @param {string} str - The input string.
+ * @returns {Uint8Array} UTF-8 bytes.
+ * @throws {Error} If the input is not a string.
+ */
+function utf8Encode(str) {
+  if (typeof str !== 'string') throw new Error('Invalid string');
+  return new TextEncoder().encode(str);
+}
+
+/**
+ * Decodes UTF-8 bytes into a string, rejecting malformed sequences.
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView} input - UTF-8 bytes.
+ * @returns {string} Decoded string.
+ * @throws {Error} If the input is not binary data or is not valid UTF-8.
+ */
+function utf8Decode(input) {
+  if (typeof input === 'string') throw new Error('Invalid input: expected binary data');
+  const bytes = toBytes(input);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    throw new Error('Invalid UTF-8 data');
+  }
+}
+
+/**
+ * Converts a string (as UTF-8), Uint8Array, ArrayBuffer or other typed array/DataView to a Uint8Array.
+ * @param {string|Uint8Array|ArrayBuffer|ArrayBufferView} input - The input data.
+ * @returns {Uint8Array} Bytes (a view over the same memory for binary inputs).
+ * @throws {Error} If the input type is not supported.
+ */
+function toBytes(input) {
+  if (typeof input === 'string') return utf8Encode(input);
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  throw new Error('Invalid input: expected a string, Uint8Array, ArrayBuffer or ArrayBufferView');
+}
+
+/**
+ * Encodes bytes with a 64-character alphabet.
+ * @param {Uint8Array} bytes - Bytes to encode.
+ * @param {string} alphabet - Base64 alphabet.
+ * @param {boolean} padding - Append '=' padding.
+ * @returns {string} Encoded string.
+ * @private
+ */
+function encodeBase64Bytes(bytes, alphabet, padding) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const remaining = bytes.length - i;
+    result += alphabet[(chunk >> 18) & 63] + alphabet[(chunk >> 12) & 63];
+    result += remaining > 1 ? alphabet[(chunk >> 6) & 63] : padding ? '=' : '';
+    result += remaining > 2 ? alphabet[chunk & 63] : padding ? '=' : '';
+  }
+  return result;
+}
+
+/**
+ * Strictly decodes a Base64 string with the given alphabet.
+ * @param {string} str - Encoded string.
+ * @param {Map<string, number>} lookup - Alphabet lookup.
+ * @param {string} name - Codec name for error messages.
+ * @param {Object} options - Decode options.
+ * @returns {Uint8Array} Decoded bytes.
+ * @private
+ */
+function decodeBase64Bytes(str, lookup, name, options) {
+  if (typeof str !== 'string') throw new Error(`Invalid ${name} input: expected a string`);
+  const { ignoreWhitespace = false, requirePadding = false } = options || {};
+  const input = ignoreWhitespace ? str.replace(/\s+/g, '') : str;
+
+  const padStart = input.indexOf('=');
+  const data = padStart === -1 ? input : input.slice(0, padStart);
+  const padding = padStart === -1 ? '' : input.slice(padStart);
+  if (data.length % 4 === 1) throw new Error(`Invalid ${name} length: ${input.length}`);
+  if (padding) {
+    if (!/^={1,2}$/.test(padding) || (data.length + padding.length) % 4 !== 0) {
+      throw new Error(`Invalid ${name} padding at position ${padStart}`);
+    }
+  } else if (requirePadding && data.length % 4 !== 0) {
+    throw new Error(`Missing ${name} padding`);
+  }
+
+  const bytes = new Uint8Array(Math.floor((data.length * 3) / 4));
+  let buffer = 0;
+  let bits = 0;
+  let offset = 0;
+  for (let i = 0; i < data.length; i++) {
+    const value = lookup.get(data[i]);
+    if (value === undefined) {
+      throw new Error(`Invalid ${name} character ${JSON.stringify(data[i])} at position ${i}`);
+    }
+    buffer = ((buffer << 6) | value) & 0xffff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[offset++] = (buffer >> bits) & 0xff;
+    }
+  }
+  if (buffer & ((1 << bits) - 1)) throw new Error(`Invalid ${name}: non-zero trailing bits`);
+  return bytes;
+}
+
+/**
+ * Returns decoded bytes, or their UTF-8 string when requested.
+ * @param {Uint8Array} bytes - Decoded bytes.
+ * @param {Object} [options] - Decode options.
+ * @returns {Uint8Array|string} Bytes or string.
+ * @private
+ */
+function decodedOutput(bytes, options) {
+  return options && options.asString ? utf8Decode(bytes) : bytes;
+}
+
+/**
+ * Encodes data as standard Base64 (RFC 4648 section 4). Strings are encoded as UTF-8.
+ * @param {string|Uint8Array|ArrayBuffer|ArrayBufferView} input - Data to encode.
+ * @param {Object} [options={}] - Encode options.
+ * @param {boolean} [options.padding=true] - Append '=' padding.
+ * @returns {string} Base64 string.
+ * @throws {Error} If the input type is not supported.
+ * @example
+ * encodeBase64('€'); // '4oKs'
+ */
+function encodeBase64(input, options = {}) {
+  const { padding = true } = options || {};
+  return encodeBase64Bytes(toBytes(input), BASE64_ALPHABET, padding);
+}
+
+/**
+ * Decodes standard Base64. Padding is optional unless `requirePadding` is set; anything else malformed throws.
+ * @param {string} str - Base64 string.
+ * @param {Object} [options={}] - Decode options.
+ * @param {boolean} [options.asString=false] - Return a UTF-8 decoded string instead of bytes.
+ * @param {boolean} [options.requirePadding=false] - Reject unpadded input.
+ * @param {boolean} [options.ignoreWhitespace=false] - Skip whitespace (e.g., MIME line breaks).
+ * @returns {Uint8Array|string} Decoded bytes, or string when `asString` is set.
+ * @throws {Error} If the input contains invalid characters, padding or trailing bits, or invalid UTF-8.
+ */
+function decodeBase64(str, options = {}) {
+  return decodedOutput(decodeBase64Bytes(str, BASE64_LOOKUP, 'Base64', options), options);
+}
+
+/**
+ * Encodes data as URL-safe Base64 (RFC 4648 section 5), unpadded by default as used in JWTs.
+ * @param {string|Uint8Array|ArrayBuffer|ArrayBufferView} input - Data to encode.
+ * @param {Object} [options={}] - Encode options.
+ * @param {boolean} [options.padding=false] - Append '=' padding.
+ * @returns {string} Base64URL string.
+ * @throws {Error} If the input type is not supported.
+ */
+function encodeBase64Url(input, options = {}) {
+  const { padding = false } = options || {};
+  return encodeBase64Bytes(toBytes(input), BASE64URL_ALPHABET, padding);
+}
+
+/**
+ * Decodes URL-safe Base64, padded or unpadded.
+ * @param {string} str - Base64URL string.
+ * @param {Object} [options={}] - Decode options, as for decodeBase64.
+ * @returns {Uint8Array|string} Decoded bytes, or string when `asString` is set.
+ * @throws {Error} If the input is malformed.
+ */
+function decodeBase64Url(str, options = {}) {
+  return decodedOutput(decodeBase64Bytes(str, BASE64URL_LOOKUP, 'Base64URL', options), options);
+}
+
+/**
+ * Encodes data as Base32 (RFC 4648 section 6).
+ * @param {string|Uint8Array|ArrayBuffer|ArrayBufferView} input - Data to encode.
+ * @param {Object} [options={}] - Encode options.
+ * @param {boolean} [options.padding=true] - Append '=' padding.
+ * @returns {string} Base32 string.
+ * @throws {Error} If the input type is not supported.
+ */
+function encodeBase32(input, options = {}) {
+  const { padding = true } = options || {};
+  const bytes = toBytes(input);
+  let result = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      result += BASE32_ALPHABET[(buffer >> bits) & 31];
+    }
+  }
+  if (bits > 0) result += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  if (padding) while (result.length % 8 !== 0) result += '=';
+  return result;
+}
+
+/**
+ * Decodes Base32 (RFC 4648 section 6). Lowercase letters are accepted; padding is optional.
+ * @param {string} str - Base32 string.
+ * @param {Object} [options={}] - Decode options.
+ * @param {boolean} [options.asString=false] - Return a UTF-8 decoded string instead of bytes.
+ * @param {boolean} [options.requirePadding=false] - Reject unpadded input.
+ * @returns {Uint8Array|string} Decoded bytes, or string when `asString` is set.
+ * @throws {Error} If the input contains invalid characters, length, padding or trailing bits.
+ */
+function decodeBase32(str, options = {}) {
+  if (typeof str !== 'string') throw new Error('Invalid Base32 input: expected a string');
+  const { requirePadding = false } = options || {};
+  const padStart = str.indexOf('=');
+  const data = (padStart === -1 ? str : str.slice(0, padStart)).toUpperCase();
+  const padding = padStart === -1 ? '' : str.slice(padStart);
+
+  if (![0, 2, 4, 5, 7].includes(data.length % 8)) throw new Error(`Invalid Base32 length: ${str.length}`);
+  if (padding) {
+    if (!/^=+$/.test(padding) || (data.length + padding.length) % 8 !== 0) {
+      throw new Error(`Invalid Base32 padding at position ${padStart}`);
+    }
+  } else if (requirePadding && data.length % 8 !== 0) {
+    throw new Error('Missing Base32 padding');
+  }
+
+  const bytes = new Uint8Array(Math.floor((data.length * 5) / 8));
+  let buffer = 0;
+  let bits = 0;
+  let offset = 0;
+  for (let i = 0; i < data.length; i++) {
+    const value = BASE32_LOOKUP.get(data[i]);
+    if (value === undefined) {
+      throw new Error(`Invalid Base32 character ${JSON.stringify(str[i])} at position ${i}`);
+    }
+    buffer = ((buffer << 5) | value) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[offset++] = (buffer >> bits) & 0xff;
+    }
+  }
+  if (buffer & ((1 << bits) - 1)) throw new Error('Invalid Base32: non-zero trailing bits');
+  return decodedOutput(bytes, options);
+}
+
+/**
+ * Encodes data as lowercase hexadecimal.
+ * @param {string|Uint8Array|ArrayBuffer|ArrayBufferView} input - Data to encode.
+ * @param {Object} [options={}] - Encode options.
+ * @param {boolean} [options.uppercase=false] - Use uppercase hex digits.
+ * @returns {string} Hex string.
+ * @throws {Error} If the input type is not supported.
+ */
+function encodeHex(input, options = {}) {
+  const { uppercase = false } = options || {};
+  let result = '';
+  for (const byte of toBytes(input)) {
+    result += HEX_ALPHABET[byte >> 4] + HEX_ALPHABET[byte & 15];
+  }
+  return uppercase ? result.toUpperCase() : result;
+}
+
+/**
+ * Decodes a hexadecimal string (either case).
+ * @param {string} str - Hex string with an even number of digits.
+ * @param {Object} [options={}] - Decode options.
+ * @param {boolean} [options.asString=false] - Return a UTF-8 decoded string instead of bytes.
+ * @returns {Uint8Array|string} Decoded bytes, or string when `asString` is set.
+ * @throws {Error} If the input has an odd length or non-hex characters.
+ */
+function decodeHex(str, options = {}) {
+  if (typeof str !== 'string') throw new Error('Invalid hex input: expected a string');
+  if (str.length % 2 !== 0) throw new Error(`Invalid hex length: ${str.length}`);
+  const bytes = new Uint8Array(str.length / 2);
+  for (let i = 0; i < str.length; i += 2) {
+    const invalid = /[^0-9a-fA-F]/.exec(str.slice(i, i + 2));
+    if (invalid) throw new Error(`Invalid hex character ${JSON.stringify(invalid[0])} at position ${i + invalid.index}`);
+    bytes[i / 2] = parseInt(str.slice(i, i + 2), 16);
+  }
+  return decodedOutput(bytes, options);
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  utf8Encode,
+  utf8Decode,
+  toBytes,
+  encodeBase64,
+  decodeBase64,
+  encodeBase64Url,
+  decodeBase64Url,
+  encodeBase32,
+  decodeBase32,
+  encodeHex,
+  decodeHex
+};
@@ -0,0 +1,419 @@
+/**
+ * Text diffing (Myers' algorithm) at line, word and character granularity, unified diffs,
+ * inline HTML highlighting and patch application.
+ * @module diffUtils
+ */
+
+const { sanitizeHtmlString } = require('../js-imp');
+const { splitGraphemes } = require('./index');
+
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Splits text into diff tokens.
+ * @param {string} str - The input string.
+ * @param {string} granularity - 'line' (tokens keep their line break), 'word' (words, whitespace runs and
+ *   punctuation) or 'char' (grapheme clusters).
+ * @returns {string[]} Tokens.
+ * @throws {Error} If the granularity is unknown.
+ * @private
+ */
+function tokenize(str, granularity) {
+  if (!str) return [];
+  if (granularity === 'line') return str.match(/[^\n]*\n|[^\n]+$/g);
+  if (granularity === 'word') return str.match(/[\p{L}\p{N}\p{M}_]+|\s+|[^\p{L}\p{N}\p{M}_\s]/gu);
+  if (granularity === 'char') return splitGraphemes(str);
+  throw new Error(`Invalid granularity: ${granularity}`);
+}
+
+/**
+ * Computes a shortest edit script between two token arrays with Myers' O(ND) algorithm.
+ * @param {string[]} a - Old tokens.
+ * @param {string[]} b - New tokens.
+ * @param {Function} equals - Token equality (a, b) => boolean.
+ * @returns {Array<{type: string, token: string}>} Operations ('equal', 'delete', 'insert') in order.
+ * @private
+ */
+function myersDiff(a, b, equals) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && equals(a[prefix], b[prefix])) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && equals(a[a.length - 1 - suffix], b[b.length - 1 - suffix])) suffix++;
+
+  const oldTokens = a.slice(prefix, a.length - suffix);
+  const newTokens = b.slice(prefix, b.length - suffix);
+  const n = oldTokens.length;
+  const m = newTokens.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  // trace[d] holds v[-d-1 .. d+1] before step d, so memory is O(D^2) in the edit distance D, not the input size.
+  const trace = [];
+  let found = n === 0 && m === 0;
+
+  for (let d = 0; d <= n + m && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && equals(oldTokens[x], newTokens[y])) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  const middle = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const get = k => previous[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : get(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+    while (x > prevX && y > prevY) {
+      middle.push({ type: 'equal', token: oldTokens[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) middle.push({ type: 'insert', token: newTokens[--y] });
+      else middle.push({ type: 'delete', token: oldTokens[--x] });
+    }
+  }
+  middle.reverse();
+
+  return [
+    ...a.slice(0, prefix).map(token => ({ type: 'equal', token })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(token => ({ type: 'equal', token }))
+  ];
+}
+
+/**
+ * Returns a token equality function for diff options.
+ * @param {Object} options - Diff options.
+ * @returns {Function} (a, b) => boolean.
+ * @private
+ */
+function tokenEquals({ ignoreCase = false, ignoreWhitespace = false }) {
+  const normalize = token => {
+    let result = ignoreCase ? token.toLowerCase() : token;
+    if (ignoreWhitespace) result = result.replace(/\s+/g, ' ').trim();
+    return result;
+  };
+  return ignoreCase || ignoreWhitespace ? (a, b) => normalize(a) === normalize(b) : (a, b) => a === b;
+}
+
+/**
+ * Computes token operations between two strings.
+ * @param {string} oldStr - Old text.
+ * @param {string} newStr - New text.
+ * @param {Object} options - Diff options.
+ * @returns {Array<{type: string, token: string}>} Operations.
+ * @private
+ */
+function diffTokens(oldStr, newStr, options) {
+  const granularity = options.granularity || 'line';
+  return myersDiff(tokenize(oldStr, granularity), tokenize(newStr, granularity), tokenEquals(options));
+}
+
+/**
+ * Compares two strings and returns the changes as runs of equal, deleted and inserted text.
+ * Within a changed region, deletions are listed before insertions.
+ * @param {string} oldStr - Old text.
+ * @param {string} newStr - New text.
+ * @param {Object} [options={}] - Diff options.
+ * @param {string} [options.granularity='line'] - 'line', 'word' or 'char'.
+ * @param {boolean} [options.ignoreCase=false] - Treat tokens differing only in case as equal.
+ * @param {boolean} [options.ignoreWhitespace=false] - Treat tokens differing only in whitespace as equal.
+ * @returns {Array<{type: string, value: string, count: number}>} Changes ('equal', 'delete', 'insert') with the
+ *   number of tokens, or empty array if invalid.
+ * @throws {Error} If the granularity is unknown.
+ * @example
+ * diffStrings('Late checkout at 11', 'Late checkout at 12 noon', { granularity: 'word' });
+ * // [{ type: 'equal', value: 'Late checkout at ', count: 6 }, { type: 'delete', value: '11', count: 1 },
+ * //  { type: 'insert', value: '12 noon', count: 3 }]
+ */
+function diffStrings(oldStr, newStr, options = {}) {
+  if (typeof oldStr !== 'string' || typeof newStr !== 'string') return [];
+  const operations = diffTokens(oldStr, newStr, options || {});
+  const changes = [];
+  const push = (type, tokens) => {
+    if (tokens.length) changes.push({ type, value: tokens.join(''), count: tokens.length });
+  };
+  let equal = [];
+  let deleted = [];
+  let inserted = [];
+  for (const { type, token } of operations) {
+    if (type === 'equal') {
+      if (deleted.length || inserted.length) {
+        push('delete', deleted);
+        push('insert', inserted);
+        deleted = [];
+        inserted = [];
+      }
+      equal.push(token);
+      continue;
+    }
+    push('equal', equal);
+    equal = [];
+    (type === 'delete' ? deleted : inserted).push(token);
+  }
+  push('equal', equal);
+  push('delete', deleted);
+  push('insert', inserted);
+  return changes;
+}
+
+/**
+ * Formats a line token as unified diff lines (adding the no-newline marker when needed).
+ * @param {string} prefix - ' ', '-' or '+'.
+ * @param {string} token - Line token.
+ * @returns {string[]} Diff lines.
+ * @private
+ */
+function formatDiffLine(prefix, token) {
+  return token.endsWith('\n') ? [prefix + token.slice(0, -1)] : [prefix + token, NO_NEWLINE_MARKER];
+}
+
+/**
+ * Compares two texts line by line and groups the changes into hunks with surrounding context.
+ * @param {string} oldStr - Old text.
+ * @param {string} newStr - New text.
+ * @param {Object} [options={}] - Diff options (ignoreCase, ignoreWhitespace) plus:
+ * @param {number} [options.context=3] - Unchanged lines shown around each change.
+ * @returns {Array<Object>} Hunks { oldStart, oldLines, newStart, newLines, lines }, where lines are prefixed with
+ *   ' ', '-' or '+' (and may include '\ No newline at end of file'); empty array if invalid or unchanged.
+ */
+function diffHunks(oldStr, newStr, options = {}) {
+  if (typeof oldStr !== 'string' || typeof newStr !== 'string') return [];
+  const { context = 3 } = options || {};
+  const operations = diffTokens(oldStr, newStr, { ...options, granularity: 'line' });
+  let oldLine = 0;
+  let newLine = 0;
+  const entries = operations.map(operation => {
+    const entry = { ...operation, oldLine, newLine };
+    if (operation.type !== 'insert') oldLine++;
+    if (operation.type !== 'delete') newLine++;
+    return entry;
+  });
+
+  const hunks = [];
+  let index = 0;
+  while (index < entries.length) {
+    while (index < entries.length && entries[index].type === 'equal') index++;
+    if (index >= entries.length) break;
+    const start = Math.max(0, index - context);
+    let end = index;
+    // Extend the hunk while the next change is within 2 * context unchanged lines.
+    while (end < entries.length) {
+      while (end < entries.length && entries[end].type !== 'equal') end++;
+      let gap = end;
+      while (gap < entries.length && entries[gap].type === 'equal') gap++;
+      if (gap < entries.length && gap - end <= context * 2) end = gap;
+      else break;
+    }
+    const stop = Math.min(entries.length, end + context);
+    const slice = entries.slice(start, stop);
+    const oldLines = slice.filter(entry => entry.type !== 'insert').length;
+    const newLines = slice.filter(entry => entry.type !== 'delete').length;
+    hunks.push({
+      oldStart: oldLines ? slice[0].oldLine + 1 : slice[0].oldLine,
+      oldLines,
+      newStart: newLines ? slice[0].newLine + 1 : slice[0].newLine,
+      newLines,
+      lines: slice.flatMap(entry => formatDiffLine({ equal: ' ', delete: '-', insert: '+' }[entry.type], entry.token))
+    });
+    index = stop;
+  }
+  return hunks;
+}
+
+/**
+ * Creates a unified diff (as produced by `diff -u` / `git diff`) between two texts.
+ * @param {string} oldStr - Old text.
+ * @param {string} newStr - New text.
+ * @param {Object} [options={}] - Options as for diffHunks plus:
+ * @param {string} [options.oldName='a'] - Name in the '---' header.
+ * @param {string} [options.newName='b'] - Name in the '+++' header.
+ * @returns {string} Unified diff, or empty string if the texts are equal or invalid.
+ * @example
+ * createUnifiedDiff('Check-in 14:00\nCheck-out 11:00\n', 'Check-in 15:00\nCheck-out 11:00\n', { oldName: 'policy@v1', newName: 'policy@v2' });
+ * // '--- policy@v1\n+++ policy@v2\n@@ -1,2 +1,2 @@\n-Check-in 14:00\n+Check-in 15:00\n Check-out 11:00\n'
+ */
+function createUnifiedDiff(oldStr, newStr, options = {}) {
+  const { oldName = 'a', newName = 'b' } = options || {};
+  const hunks = diffHunks(oldStr, newStr, options);
+  if (!hunks.length) return '';
+  const range = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+  const body = hunks.map(hunk => [
+    `@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`,
+    ...hunk.lines
+  ].join('\n'));
+  return `--- ${oldName}\n+++ ${newName}\n${body.join('\n')}\n`;
+}
+
+/**
+ * Renders an inline HTML diff: removed text in <del>, added text in <ins>, all text HTML-escaped.
+ * @param {string} oldStr - Old text.
+ * @param {string} newStr - New text.
+ * @param {Object} [options={}] - Diff options (ignoreCase, ignoreWhitespace) plus:
+ * @param {string} [options.granularity='word'] - 'line', 'word' or 'char'.
+ * @returns {string} HTML string or empty string if invalid.
+ * @throws {Error} If the granularity is unknown.
+ * @example
+ * renderInlineDiff('Breakfast <b>included</b>', 'Breakfast not included', { granularity: 'word' });
+ */
+function renderInlineDiff(oldStr, newStr, options = {}) {
+  const changes = diffStrings(oldStr, newStr, { granularity: 'word', ...options });
+  return changes.map(({ type, value }) => {
+    const escaped = sanitizeHtmlString(value);
+    if (type === 'delete') return `<del>${escaped}</del>`;
+    if (type === 'insert') return `<ins>${escaped}</ins>`;
+    return escaped;
+  }).join('');
+}
+
+/**
+ * Parses the hunks of a unified diff.
+ * @param {string} patch - Unified diff text.
+ * @returns {Array<Object>} Hunks as returned by diffHunks.
+ * @throws {Error} If a hunk header or line is malformed.
+ * @private
+ */
+function parseUnifiedDiff(patch) {
+  const hunks = [];
+  let hunk = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+  for (const line of patch.split('\n')) {
+    const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (header) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        lines: []
+      };
+      oldRemaining = hunk.oldLines;
+      newRemaining = hunk.newLines;
+      hunks.push(hunk);
+    } else if (hunk && line[0] === '\\') {
+      hunk.lines.push(line);
+    } else if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+      // Some tools drop the leading space of empty context lines.
+      const op = line === '' ? ' ' : line[0];
+      if (op !== ' ' && op !== '-' && op !== '+') throw new Error(`Invalid patch line: ${line}`);
+      if (op !== '+') oldRemaining--;
+      if (op !== '-') newRemaining--;
+      if (oldRemaining < 0 || newRemaining < 0) throw new Error('Invalid patch: hunk line counts do not match');
+      hunk.lines.push(line === '' ? ' ' : line);
+    }
+  }
+  if (oldRemaining > 0 || newRemaining > 0) throw new Error('Invalid patch: truncated hunk');
+  return hunks;
+}
+
+/**
+ * Converts hunk lines into old/new line tokens (with line breaks) for matching and splicing.
+ * @param {string[]} lines - Hunk lines.
+ * @returns {Array<{op: string, token: string}>} Hunk operations.
+ * @private
+ */
+function hunkOperations(lines) {
+  const operations = [];
+  lines.forEach(line => {
+    if (line[0] === '\\') {
+      const last = operations[operations.length - 1];
+      if (last) last.token = last.token.replace(/\n$/, '');
+      return;
+    }
+    operations.push({ op: line[0], token: `${line.slice(1)}\n` });
+  });
+  return operations;
+}
+
+/**
+ * Applies a unified diff (or hunks from diffHunks) to a text. Hunks may match at a shifted position;
+ * with `fuzz`, up to that many context lines at each edge of a hunk may also differ.
+ * @param {string} source - Original text.
+ * @param {string|Object[]} patch - Unified diff text or hunks.
+ * @param {Object} [options={}] - Patch options.
+ * @param {number} [options.fuzz=0] - Context lines per hunk edge allowed to mismatch.
+ * @param {number} [options.maxOffset=Infinity] - Maximum distance (in lines) a hunk may move from its stated position.
+ * @returns {string|null} Patched text, or null if the input is invalid (including a non-empty patch string
+ *   without hunks) or a hunk does not apply. An empty patch string, as createUnifiedDiff returns for equal
+ *   texts, leaves the source unchanged.
+ * @example
+ * const patch = createUnifiedDiff(v1, v2);
+ * applyPatch(v1WithUnrelatedEdits, patch, { fuzz: 1 }); // v2 with the unrelated edits kept
+ */
+function applyPatch(source, patch, options = {}) {
+  if (typeof source !== 'string') return null;
+  const { fuzz = 0, maxOffset = Infinity } = options || {};
+  let hunks;
+  try {
+    hunks = typeof patch === 'string' ? parseUnifiedDiff(patch) : patch;
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(hunks) || (typeof patch === 'string' && !hunks.length && patch.trim())) return null;
+
+  const lines = tokenize(source, 'line');
+  let delta = 0;
+  let minIndex = 0;
+  for (const hunk of hunks) {
+    if (!hunk || !Array.isArray(hunk.lines)) return null;
+    const operations = hunkOperations(hunk.lines);
+    const isContext = operation => operation.op === ' ';
+    const leadingContext = operations.findIndex(operation => !isContext(operation));
+    const trailingContext = [...operations].reverse().findIndex(operation => !isContext(operation));
+    const base = hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    let applied = false;
+
+    for (let level = 0; level <= fuzz && !applied; level++) {
+      const trimStart = Math.min(level, Math.max(0, leadingContext));
+      const trimEnd = Math.min(level, Math.max(0, trailingContext));
+      const trimmed = operations.slice(trimStart, operations.length - trimEnd);
+      const expected = trimmed.filter(operation => operation.op !== '+').map(operation => operation.token);
+      const replacement = trimmed.filter(operation => operation.op !== '-').map(operation => operation.token);
+      const stated = base + trimStart + delta;
+
+      const matchesAt = position => expected.every((token, i) => (
+        lines[position + i] === token
+        // The last line of the text may lack the line break the hunk line has, or vice versa.
+        || (position + i === lines.length - 1 && lines[position + i].replace(/\n$/, '') === token.replace(/\n$/, ''))
+      ));
+      for (let distance = 0; distance <= Math.min(maxOffset, lines.length) && !applied; distance++) {
+        for (const position of distance ? [stated - distance, stated + distance] : [stated]) {
+          if (position < minIndex || position + expected.length > lines.length || !matchesAt(position)) continue;
+          lines.splice(position, expected.length, ...replacement);
+          // Offset between the original and the patched text, applied to later hunks' positions.
+          delta = position + replacement.length - (base + trimStart + expected.length);
+          minIndex = position + replacement.length;
+          applied = true;
+          break;
+        }
+      }
+    }
+    if (!applied) return null;
+  }
+  return lines.join('');
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  diffStrings,
+  diffHunks,
+  createUnifiedDiff,
+  renderInlineDiff,
+  applyPatch
+};
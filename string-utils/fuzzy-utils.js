@@ -0,0 +1,432 @@
+/**
+ * String similarity metrics and fuzzy search for typo-tolerant lookups and duplicate detection.
+ * @module fuzzyUtils
+ */
+
+const { normalizeString } = require('./index');
+const { sanitizeHtmlString } = require('../js-imp');
+
+/**
+ * Prepares a string for comparison.
+ * @param {string} str - The input string.
+ * @param {Object} options - Comparison options.
+ * @param {boolean} [options.normalize=false] - Apply normalizeString (trim, collapse spaces, lowercase).
+ * @param {boolean} [options.accentInsensitive=false] - Remove diacritics.
+ * @returns {string[]} Code points of the prepared string.
+ * @private
+ */
+function prepare(str, options = {}) {
+  const { normalize = false, accentInsensitive = false } = options || {};
+  let result = normalize ? normalizeString(str, true) : str;
+  if (accentInsensitive) result = result.normalize('NFD').replace(/\p{M}+/gu, '').normalize('NFC');
+  return Array.from(result);
+}
+
+/**
+ * Calculates the Levenshtein edit distance (insertions, deletions, substitutions) between two strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @param {Object} [options={}] - Comparison options.
+ * @param {boolean} [options.normalize=false] - Compare normalized (trimmed, collapsed, lowercase) strings.
+ * @param {boolean} [options.accentInsensitive=false] - Ignore diacritics.
+ * @returns {number} Edit distance or -1 if invalid.
+ * @example
+ * levenshteinDistance('kitten', 'sitting'); // 3
+ */
+function levenshteinDistance(a, b, options = {}) {
+  if (typeof a !== 'string' || typeof b !== 'string') return -1;
+  const s = prepare(a, options);
+  const t = prepare(b, options);
+  if (!s.length || !t.length) return Math.max(s.length, t.length);
+  let previous = Array.from({ length: t.length + 1 }, (_value, index) => index);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[t.length];
+}
+
+/**
+ * Calculates the Damerau-Levenshtein distance (optimal string alignment variant), which also counts
+ * a transposition of two adjacent characters as one edit.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @param {Object} [options={}] - Comparison options, as for levenshteinDistance.
+ * @returns {number} Edit distance or -1 if invalid.
+ * @example
+ * damerauLevenshteinDistance('Jhon', 'John'); // 1
+ */
+function damerauLevenshteinDistance(a, b, options = {}) {
+  if (typeof a !== 'string' || typeof b !== 'string') return -1;
+  const s = prepare(a, options);
+  const t = prepare(b, options);
+  const d = Array.from({ length: s.length + 1 }, (_row, i) => {
+    const row = new Array(t.length + 1).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j <= t.length; j++) d[0][j] = j;
+  for (let i = 1; i <= s.length; i++) {
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[s.length][t.length];
+}
+
+/**
+ * Pairs equal characters of two strings that lie within the Jaro matching window of each other.
+ * @param {string[]} s - Code points of the first string.
+ * @param {string[]} t - Code points of the second string.
+ * @returns {{matches: number, sMatched: boolean[], tMatched: boolean[]}} Match count and matched positions.
+ * @private
+ */
+function jaroMatch(s, t) {
+  const window = Math.max(0, Math.floor(Math.max(s.length, t.length) / 2) - 1);
+  const sMatched = new Array(s.length).fill(false);
+  const tMatched = new Array(t.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < s.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(t.length - 1, i + window);
+    for (let j = start; j <= end; j++) {
+      if (!tMatched[j] && s[i] === t[j]) {
+        sMatched[i] = true;
+        tMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  return { matches, sMatched, tMatched };
+}
+
+/**
+ * Calculates the Jaro-Winkler similarity, which favours strings sharing a common prefix (good for names).
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @param {Object} [options={}] - Comparison options, as for levenshteinDistance.
+ * @param {number} [options.prefixScale=0.1] - Weight of the common prefix (at most 0.25).
+ * @returns {number} Similarity between 0 and 1, or 0 if invalid.
+ * @example
+ * jaroWinklerSimilarity('MARTHA', 'MARHTA'); // ~0.961
+ */
+function jaroWinklerSimilarity(a, b, options = {}) {
+  if (typeof a !== 'string' || typeof b !== 'string') return 0;
+  const { prefixScale = 0.1 } = options || {};
+  const s = prepare(a, options);
+  const t = prepare(b, options);
+  if (!s.length && !t.length) return 1;
+  if (!s.length || !t.length) return 0;
+
+  const { matches, sMatched, tMatched } = jaroMatch(s, t);
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < s.length; i++) {
+    if (!sMatched[i]) continue;
+    while (!tMatched[j]) j++;
+    if (s[i] !== t[j]) transpositions++;
+    j++;
+  }
+  const jaro = (matches / s.length + matches / t.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, s.length, t.length) && s[prefix] === t[prefix]) prefix++;
+  return jaro + prefix * Math.min(prefixScale, 0.25) * (1 - jaro);
+}
+
+/**
+ * Builds a multiset of n-grams.
+ * @param {string[]} chars - Code points.
+ * @param {number} n - Gram size.
+ * @returns {Map<string, number>} N-gram counts.
+ * @private
+ */
+function ngrams(chars, n) {
+  const grams = new Map();
+  if (chars.length < n) {
+    if (chars.length) grams.set(chars.join(''), 1);
+    return grams;
+  }
+  for (let i = 0; i <= chars.length - n; i++) {
+    const gram = chars.slice(i, i + n).join('');
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Marks the characters of `t` covered by n-grams that it shares with `s` (each shared n-gram counted
+ * as often as ngramSimilarity counts it).
+ * @param {string[]} s - Code points of the first string.
+ * @param {string[]} t - Code points of the second string.
+ * @param {number} n - Gram size.
+ * @returns {boolean[]} Matched positions of `t`.
+ * @private
+ */
+function ngramMatch(s, t, n) {
+  const grams = ngrams(s, n);
+  const matched = new Array(t.length).fill(false);
+  const size = Math.min(n, t.length);
+  for (let i = 0; i + size <= t.length; i++) {
+    const gram = t.slice(i, i + size).join('');
+    if (!grams.get(gram)) continue;
+    grams.set(gram, grams.get(gram) - 1);
+    matched.fill(true, i, i + size);
+  }
+  return matched;
+}
+
+/**
+ * Calculates the n-gram (Sørensen-Dice) similarity of two strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @param {Object} [options={}] - Comparison options, as for levenshteinDistance.
+ * @param {number} [options.n=2] - N-gram size (bigrams by default).
+ * @returns {number} Similarity between 0 and 1, or 0 if invalid.
+ * @example
+ * ngramSimilarity('night', 'nacht'); // 0.25
+ */
+function ngramSimilarity(a, b, options = {}) {
+  if (typeof a !== 'string' || typeof b !== 'string') return 0;
+  const { n = 2 } = options || {};
+  const size = Number.isInteger(n) && n > 0 ? n : 2;
+  const s = prepare(a, options);
+  const t = prepare(b, options);
+  if (!s.length && !t.length) return 1;
+  const gramsA = ngrams(s, size);
+  const gramsB = ngrams(t, size);
+  let overlap = 0;
+  let total = 0;
+  gramsA.forEach((count, gram) => {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  });
+  gramsB.forEach(count => {
+    total += count;
+  });
+  return total ? (2 * overlap) / total : 0;
+}
+
+/**
+ * Calculates a similarity score between 0 and 1 with the chosen metric.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @param {Object} [options={}] - Comparison options, as for levenshteinDistance.
+ * @param {string} [options.metric='jaroWinkler'] - 'levenshtein', 'damerauLevenshtein', 'jaroWinkler' or 'ngram'.
+ * @returns {number} Similarity between 0 and 1, or 0 if invalid.
+ */
+function stringSimilarity(a, b, options = {}) {
+  if (typeof a !== 'string' || typeof b !== 'string') return 0;
+  const { metric = 'jaroWinkler' } = options || {};
+  if (metric === 'ngram') return ngramSimilarity(a, b, options);
+  if (metric === 'levenshtein' || metric === 'damerauLevenshtein') {
+    const longest = Math.max(prepare(a, options).length, prepare(b, options).length);
+    if (!longest) return 1;
+    const distance = metric === 'levenshtein' ? levenshteinDistance(a, b, options) : damerauLevenshteinDistance(a, b, options);
+    return 1 - distance / longest;
+  }
+  return jaroWinklerSimilarity(a, b, options);
+}
+
+/**
+ * Normalizes text with normalizeString (and prepare for accents) word by word, joining the words with
+ * single spaces, and keeps a map from each normalized UTF-16 unit back to its range in the original text.
+ * @param {string} text - The original text.
+ * @param {boolean} caseSensitive - Keep letter case.
+ * @param {boolean} accentInsensitive - Remove diacritics.
+ * @returns {{text: string, map: Array<[number, number]>}} Normalized text and offset map.
+ * @private
+ */
+function normalizeWithMap(text, caseSensitive, accentInsensitive) {
+  const fold = char => prepare(normalizeString(char, !caseSensitive), { accentInsensitive }).join('');
+  let result = '';
+  const map = [];
+  for (const word of text.matchAll(/\S+/g)) {
+    if (result) {
+      result += ' ';
+      map.push([word.index - 1, word.index]);
+    }
+    let offset = word.index;
+    for (const char of word[0]) {
+      const folded = fold(char);
+      result += folded;
+      for (let i = 0; i < folded.length; i++) map.push([offset, offset + char.length]);
+      offset += char.length;
+    }
+  }
+  return { text: result, map };
+}
+
+/**
+ * Converts normalized character indices into merged [start, end) ranges of the original text.
+ * @param {number[]} indices - Sorted normalized indices.
+ * @param {Array<[number, number]>} map - Offset map from normalizeWithMap.
+ * @returns {Array<[number, number]>} Ranges in the original text.
+ * @private
+ */
+function toOriginalRanges(indices, map) {
+  const ranges = [];
+  for (const index of indices) {
+    const [start, end] = map[index];
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else ranges.push([start, end]);
+  }
+  return ranges;
+}
+
+/**
+ * Scores how well a normalized query matches a normalized target and finds the matched characters.
+ * @param {string} query - Normalized query.
+ * @param {string} target - Normalized target.
+ * @returns {{score: number, indices: number[]}} Score between 0 and 1 and matched target indices.
+ * @private
+ */
+function scoreMatch(query, target) {
+  if (!query || !target) return { score: 0, indices: [] };
+  const range = (start, length) => Array.from({ length }, (_value, i) => start + i);
+  if (target === query) return { score: 1, indices: range(0, target.length) };
+
+  const position = target.indexOf(query);
+  if (position !== -1) {
+    const coverage = query.length / target.length;
+    const wordStart = position === 0 || target[position - 1] === ' ';
+    const base = position === 0 ? 0.9 : wordStart ? 0.85 : 0.75;
+    return { score: base + (0.95 - base) * coverage, indices: range(position, query.length) };
+  }
+
+  // Typo-tolerant: compare against the whole target and each word (or its prefix), keep the best.
+  let best = { score: jaroWinklerSimilarity(query, target), start: 0, text: target, align: 'jaro' };
+  const dice = ngramSimilarity(query, target);
+  if (dice > best.score) best = { score: dice, start: 0, text: target, align: 'ngram' };
+  const words = /\S+/g;
+  let word;
+  while ((word = words.exec(target)) !== null) {
+    const prefix = word[0].slice(0, Math.max(query.length, 1));
+    const wordScore = jaroWinklerSimilarity(query, word[0]) * 0.95;
+    const prefixScore = jaroWinklerSimilarity(query, prefix) * 0.95 * 0.95;
+    const score = Math.max(wordScore, prefixScore);
+    if (score > best.score) {
+      best = { score, start: word.index, text: wordScore >= prefixScore ? word[0] : prefix, align: 'jaro' };
+    }
+  }
+
+  // Highlight the characters that the winning comparison matched, converted to UTF-16 indices of the target.
+  const queryChars = Array.from(query);
+  const chars = Array.from(best.text);
+  const matched = best.align === 'jaro' ? jaroMatch(queryChars, chars).tMatched : ngramMatch(queryChars, chars, 2);
+  const indices = [];
+  let offset = best.start;
+  chars.forEach((char, index) => {
+    if (matched[index]) indices.push(...range(offset, char.length));
+    offset += char.length;
+  });
+  return { score: best.score, indices };
+}
+
+/**
+ * Reads a (possibly dotted) key from an item.
+ * @param {any} item - The item.
+ * @param {string} key - Key or dotted path.
+ * @returns {any} The value.
+ * @private
+ */
+function readKey(item, key) {
+  return String(key).split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), item);
+}
+
+/**
+ * Ranks strings or objects by how well they match a query, tolerating typos.
+ * Text is normalized like normalizeString (trimmed, whitespace collapsed, lowercased) and, by default,
+ * compared without accents. Exact and prefix matches rank above fuzzy matches.
+ * @param {string} query - The search query.
+ * @param {Array<string|Object>} items - Strings, or objects searched by `keys`.
+ * @param {Object} [options={}] - Search options.
+ * @param {Array<string|{name: string, weight: number}>} [options.keys] - Object keys or dotted paths to search, with optional weights.
+ * @param {number} [options.threshold=0.7] - Minimum score (0 to 1) for a result.
+ * @param {number} [options.limit] - Maximum number of results.
+ * @param {boolean} [options.caseSensitive=false] - Compare letter case.
+ * @param {boolean} [options.accentInsensitive=true] - Ignore diacritics ("Muller" finds "Müller").
+ * @returns {Array<{item: any, index: number, score: number, key: string|null, matches: Array<[number, number]>}>}
+ *   Results sorted by score, with the best-matching key and its matched [start, end) ranges in the original text.
+ * @example
+ * fuzzySearch('jon smth', [{ name: 'John Smith' }, { name: 'Jane Doe' }], { keys: ['name'] });
+ * // [{ item: { name: 'John Smith' }, index: 0, score: 0.8..., key: 'name', matches: [[0, 1], ...] }]
+ */
+function fuzzySearch(query, items, options = {}) {
+  if (typeof query !== 'string' || !Array.isArray(items)) return [];
+  const { keys, threshold = 0.7, limit, caseSensitive = false, accentInsensitive = true } = options || {};
+  const normalizedQuery = normalizeWithMap(query, caseSensitive, accentInsensitive).text;
+  if (!normalizedQuery) return [];
+  const keyList = Array.isArray(keys) && keys.length
+    ? keys.map(key => (typeof key === 'object' && key !== null ? { name: key.name, weight: key.weight ?? 1 } : { name: key, weight: 1 }))
+    : [{ name: null, weight: 1 }];
+
+  const results = [];
+  items.forEach((item, index) => {
+    let best = null;
+    for (const { name, weight } of keyList) {
+      const raw = name === null ? item : readKey(item, name);
+      const values = Array.isArray(raw) ? raw : [raw];
+      for (const value of values) {
+        if (typeof value !== 'string' && typeof value !== 'number') continue;
+        const text = String(value);
+        const normalized = normalizeWithMap(text, caseSensitive, accentInsensitive);
+        const { score, indices } = scoreMatch(normalizedQuery, normalized.text);
+        const weighted = Math.min(1, score * weight);
+        if (!best || weighted > best.score) {
+          best = { item, index, score: weighted, key: name, matches: toOriginalRanges(indices, normalized.map) };
+        }
+      }
+    }
+    if (best && best.score >= threshold) results.push(best);
+  });
+
+  results.sort((a, b) => b.score - a.score || a.index - b.index);
+  return Number.isInteger(limit) && limit >= 0 ? results.slice(0, limit) : results;
+}
+
+/**
+ * Wraps matched ranges of a text in markers, e.g., for rendering fuzzySearch results.
+ * @param {string} text - The original text.
+ * @param {Array<[number, number]>} ranges - Sorted, non-overlapping [start, end) ranges.
+ * @param {Object} [options={}] - Highlight options.
+ * @param {string} [options.before='<mark>'] - Inserted before each range.
+ * @param {string} [options.after='</mark>'] - Inserted after each range.
+ * @param {boolean} [options.escapeHtml=true] - Escape the text with sanitizeHtmlString (the markers are not escaped).
+ * @returns {string} Highlighted text or empty string if invalid.
+ */
+function highlightMatches(text, ranges, options = {}) {
+  if (typeof text !== 'string' || !Array.isArray(ranges)) return '';
+  const { before = '<mark>', after = '</mark>', escapeHtml = true } = options || {};
+  const escape = escapeHtml ? sanitizeHtmlString : value => value;
+  let result = '';
+  let cursor = 0;
+  for (const [start, end] of ranges) {
+    if (start < cursor || end <= start) continue;
+    result += escape(text.slice(cursor, start)) + before + escape(text.slice(start, end)) + after;
+    cursor = end;
+  }
+  return result + escape(text.slice(cursor));
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  levenshteinDistance,
+  damerauLevenshteinDistance,
+  jaroWinklerSimilarity,
+  ngramSimilarity,
+  stringSimilarity,
+  fuzzySearch,
+  highlightMatches
+};
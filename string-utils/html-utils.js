@@ -0,0 +1,558 @@
+/**
+ * HTML utilities built on a small, tolerant tokenizer that runs without a DOM (Node.js or browsers).
+ * @module htmlUtils
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', shy: '\u00AD',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–', minus: '−',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„', laquo: '«', raquo: '»',
+  lsaquo: '‹', rsaquo: '›', bull: '•', middot: '·', dagger: '†', Dagger: '‡', permil: '‰', prime: '′',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', curren: '¤', inr: '₹', sect: '§', para: '¶', deg: '°',
+  plusmn: '±', times: '×', divide: '÷', micro: 'µ', frac12: '½', frac14: '¼', frac34: '¾',
+  sup1: '¹', sup2: '²', sup3: '³', ordf: 'ª', ordm: 'º', iexcl: '¡', iquest: '¿', brvbar: '¦',
+  uml: '¨', macr: '¯', acute: '´', cedil: '¸', not: '¬', larr: '←', rarr: '→', uarr: '↑', darr: '↓',
+  harr: '↔', hearts: '♥', check: '✓', star: '☆', infin: '∞', ne: '≠', le: '≤', ge: '≥', asymp: '≈',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200C', zwj: '\u200D', lrm: '\u200E', rlm: '\u200F',
+  Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Auml: 'Ä', Aring: 'Å', AElig: 'Æ', Ccedil: 'Ç',
+  Egrave: 'È', Eacute: 'É', Ecirc: 'Ê', Euml: 'Ë', Igrave: 'Ì', Iacute: 'Í', Icirc: 'Î', Iuml: 'Ï',
+  ETH: 'Ð', Ntilde: 'Ñ', Ograve: 'Ò', Oacute: 'Ó', Ocirc: 'Ô', Otilde: 'Õ', Ouml: 'Ö', Oslash: 'Ø',
+  Ugrave: 'Ù', Uacute: 'Ú', Ucirc: 'Û', Uuml: 'Ü', Yacute: 'Ý', THORN: 'Þ', szlig: 'ß',
+  agrave: 'à', aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä', aring: 'å', aelig: 'æ', ccedil: 'ç',
+  egrave: 'è', eacute: 'é', ecirc: 'ê', euml: 'ë', igrave: 'ì', iacute: 'í', icirc: 'î', iuml: 'ï',
+  eth: 'ð', ntilde: 'ñ', ograve: 'ò', oacute: 'ó', ocirc: 'ô', otilde: 'õ', ouml: 'ö', oslash: 'ø',
+  ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü', yacute: 'ý', thorn: 'þ', yuml: 'ÿ',
+  OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ',
+  Alpha: 'Α', Beta: 'Β', Gamma: 'Γ', Delta: 'Δ', Omega: 'Ω', alpha: 'α', beta: 'β', gamma: 'γ',
+  delta: 'δ', epsilon: 'ε', lambda: 'λ', mu: 'μ', pi: 'π', sigma: 'σ', omega: 'ω'
+};
+
+// Entities that browsers also recognize without a trailing semicolon.
+const LEGACY_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'nbsp', 'copy', 'reg']);
+
+// Numeric references in the C1 range are interpreted as Windows-1252, as browsers do.
+const WINDOWS_1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+  0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Elements whose content is raw text, not markup.
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes']);
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+const TAG_PATTERN = /<(\/?)([A-Za-z][A-Za-z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+
+/**
+ * Decodes named (common set) and numeric HTML character references.
+ * Unknown entities are left as they are.
+ * @param {string} str - The input string.
+ * @returns {string} Decoded string or empty string if invalid.
+ * @example
+ * decodeHtmlEntities('Fish &amp; Chips &#8211; &euro;5'); // 'Fish & Chips – €5'
+ */
+function decodeHtmlEntities(str) {
+  if (typeof str !== 'string') return '';
+  return str.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));?/g, (match, dec, hex, name) => {
+    if (name) {
+      const known = Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name);
+      if (!known || (!match.endsWith(';') && !LEGACY_ENTITIES.has(name))) return match;
+      return NAMED_ENTITIES[name];
+    }
+    const code = dec !== undefined ? parseInt(dec, 10) : parseInt(hex, 16);
+    if (WINDOWS_1252[code]) return WINDOWS_1252[code];
+    if (!code || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '�';
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Parses the attribute section of a start tag.
+ * @param {string} source - Text between the tag name and the closing '>'.
+ * @returns {Array<{name: string, value: string}>} Attributes in source order, names lowercased, values decoded.
+ * @private
+ */
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes.push({ name: match[1].toLowerCase(), value: decodeHtmlEntities(value) });
+  }
+  return attributes;
+}
+
+/**
+ * Splits HTML into tokens without building a DOM. Malformed markup is tolerated: a '<' that does not
+ * start a tag is treated as text, and the content of script/style-like elements is kept as raw text.
+ * @param {string} html - The HTML string.
+ * @returns {Array<Object>} Tokens: { type: 'text', value, raw }, { type: 'startTag', name, attributes, selfClosing, raw },
+ *   { type: 'endTag', name, raw }, { type: 'comment', value, raw } or { type: 'doctype', raw }.
+ *   Text values are entity-decoded except inside raw text elements.
+ */
+function tokenizeHtml(html) {
+  if (typeof html !== 'string') return [];
+  const tokens = [];
+  const length = html.length;
+  let index = 0;
+  let text = '';
+
+  const pushText = () => {
+    if (text) tokens.push({ type: 'text', value: decodeHtmlEntities(text), raw: text });
+    text = '';
+  };
+
+  while (index < length) {
+    const lt = html.indexOf('<', index);
+    if (lt === -1) {
+      text += html.slice(index);
+      break;
+    }
+    text += html.slice(index, lt);
+    index = lt;
+
+    if (html.startsWith('<!--', index)) {
+      const end = html.indexOf('-->', index + 4);
+      const close = end === -1 ? length : end + 3;
+      pushText();
+      tokens.push({ type: 'comment', value: html.slice(index + 4, end === -1 ? length : end), raw: html.slice(index, close) });
+      index = close;
+      continue;
+    }
+
+    if (html[index + 1] === '!' || html[index + 1] === '?') {
+      const end = html.indexOf('>', index);
+      const close = end === -1 ? length : end + 1;
+      pushText();
+      const raw = html.slice(index, close);
+      tokens.push(/^<!doctype/i.test(raw) ? { type: 'doctype', raw } : { type: 'comment', value: raw.slice(2, -1), raw });
+      index = close;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = index;
+    const tag = TAG_PATTERN.exec(html);
+    if (!tag) {
+      text += '<';
+      index++;
+      continue;
+    }
+
+    pushText();
+    const [raw, closing, tagName, rest] = tag;
+    const name = tagName.toLowerCase();
+    index += raw.length;
+    if (closing) {
+      tokens.push({ type: 'endTag', name, raw });
+      continue;
+    }
+    const selfClosing = /\/\s*$/.test(rest);
+    tokens.push({ type: 'startTag', name, attributes: parseAttributes(rest.replace(/\/\s*$/, '')), selfClosing, raw });
+
+    if (RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+      const closePattern = new RegExp(`</${name}\\s*>`, 'ig');
+      closePattern.lastIndex = index;
+      const close = closePattern.exec(html);
+      const end = close ? close.index : length;
+      const content = html.slice(index, end);
+      if (content) {
+        const decoded = name === 'textarea' || name === 'title' ? decodeHtmlEntities(content) : content;
+        tokens.push({ type: 'text', value: decoded, raw: content });
+      }
+      if (close) tokens.push({ type: 'endTag', name, raw: close[0] });
+      index = close ? close.index + close[0].length : length;
+    }
+  }
+  pushText();
+  return tokens;
+}
+
+const SKIPPED_TEXT_ELEMENTS = new Set([
+  'script', 'style', 'head', 'template', 'noscript', 'iframe', 'object', 'svg', 'math', 'select', 'button', 'textarea'
+]);
+
+// Blocks separated from their neighbours by a blank line; other blocks start on a new line.
+const PARAGRAPH_ELEMENTS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'table', 'ul', 'ol', 'dl', 'figure', 'address', 'hr'
+]);
+
+const BLOCK_ELEMENTS = new Set([
+  ...PARAGRAPH_ELEMENTS, 'div', 'section', 'article', 'header', 'footer', 'main', 'nav', 'aside', 'form',
+  'fieldset', 'legend', 'figcaption', 'details', 'summary', 'li', 'dt', 'dd', 'tr', 'caption', 'body', 'html'
+]);
+
+/**
+ * Wraps one line of text to a width, keeping a hanging indent for continuation lines.
+ * @param {string} line - The line.
+ * @param {number} width - Maximum width.
+ * @returns {string} Wrapped line(s).
+ * @private
+ */
+function wrapTextLine(line, width) {
+  if (line.length <= width) return line;
+  const indentMatch = /^(\s*(?:[*>]\s|\d+\.\s)?)/.exec(line);
+  const hanging = ' '.repeat(indentMatch[1].length);
+  const words = line.slice(indentMatch[1].length).split(' ');
+  const lines = [];
+  let current = indentMatch[1];
+  let hasWord = false;
+  for (const word of words) {
+    if (hasWord && current.length + 1 + word.length > width) {
+      lines.push(current);
+      current = hanging + word;
+    } else {
+      current += (hasWord ? ' ' : '') + word;
+    }
+    hasWord = true;
+  }
+  lines.push(current);
+  return lines.join('\n');
+}
+
+/**
+ * Converts HTML to readable plain text, e.g., for plain-text email alternatives or search indexing.
+ * Script, style and similar content is dropped, entities are decoded, block elements and `<br>` become
+ * line breaks, lists become bullets and links are rendered as "text (url)".
+ * @param {string} html - The HTML string.
+ * @param {Object} [options={}] - Conversion options.
+ * @param {number} [options.wordwrap] - Wrap lines to this width (no wrapping by default).
+ * @param {string} [options.bullet='*'] - Bullet for unordered list items.
+ * @param {boolean} [options.links=true] - Append link URLs after the link text.
+ * @param {boolean} [options.images=true] - Render images as their alt text in brackets.
+ * @param {boolean} [options.uppercaseHeadings=false] - Uppercase heading text.
+ * @param {string} [options.cellSeparator='\t'] - Separator between table cells.
+ * @returns {string} Plain text or empty string if invalid.
+ * @example
+ * htmlToText('<p>Hello <b>world</b></p><ul><li>One</li><li><a href="https://x.io">Two</a></li></ul>');
+ * // 'Hello world\n\n* One\n* Two (https://x.io)'
+ */
+function htmlToText(html, options = {}) {
+  if (typeof html !== 'string') return '';
+  const {
+    wordwrap,
+    bullet = '*',
+    links = true,
+    images = true,
+    uppercaseHeadings = false,
+    cellSeparator = '\t'
+  } = options || {};
+
+  let out = '';
+  let pendingBreaks = 0;
+  let skipDepth = 0;
+  let preDepth = 0;
+  let headingDepth = 0;
+  let cellIndex = 0;
+  const lists = [];
+  const openLinks = [];
+  let quoteDepth = 0;
+  let listIndent = '';
+  let firstLinePrefix = null;
+  const indent = () => '> '.repeat(quoteDepth) + listIndent;
+
+  const requestBreaks = count => {
+    if (out) pendingBreaks = Math.max(pendingBreaks, count);
+  };
+
+  const write = (chunk, verbatim = false) => {
+    if (!chunk) return;
+    if (pendingBreaks) {
+      const trailing = /\n*$/.exec(out)[0].length;
+      out = out.replace(/[ \t]+$/, '') + '\n'.repeat(Math.max(0, pendingBreaks - trailing));
+      pendingBreaks = 0;
+    }
+    const atLineStart = !out || out.endsWith('\n');
+    let text = chunk;
+    if (!verbatim && (atLineStart || /[ \n]$/.test(out))) text = text.replace(/^ +/, '');
+    if (!text) return;
+    if (atLineStart) {
+      out += '> '.repeat(quoteDepth) + (firstLinePrefix !== null ? firstLinePrefix : listIndent);
+      firstLinePrefix = null;
+    }
+    out += verbatim ? text.replace(/\n(?!$)/g, `\n${indent()}`) : text;
+  };
+
+  for (const token of tokenizeHtml(html)) {
+    if (token.type === 'text') {
+      if (skipDepth) continue;
+      let text = token.value;
+      if (!preDepth) text = text.replace(/[ \t\n\r\f]+/g, ' ');
+      if (headingDepth && uppercaseHeadings) text = text.toUpperCase();
+      write(text.replace(/\u00A0/g, ' '), preDepth > 0);
+      continue;
+    }
+    if (token.type !== 'startTag' && token.type !== 'endTag') continue;
+
+    const { name } = token;
+    const isStart = token.type === 'startTag';
+    if (SKIPPED_TEXT_ELEMENTS.has(name)) {
+      if (!VOID_ELEMENTS.has(name) && !token.selfClosing) skipDepth = Math.max(0, skipDepth + (isStart ? 1 : -1));
+      continue;
+    }
+    if (skipDepth) continue;
+
+    if (isStart) {
+      const attrs = Object.fromEntries(token.attributes.map(attr => [attr.name, attr.value]));
+      if (name === 'br') {
+        write('\n', true);
+        continue;
+      }
+      if (name === 'hr') {
+        requestBreaks(2);
+        write('-'.repeat(Math.min(wordwrap || 40, 40)), true);
+        requestBreaks(2);
+        continue;
+      }
+      if (name === 'img') {
+        if (images && attrs.alt) write(`[${attrs.alt}]`);
+        continue;
+      }
+      if (BLOCK_ELEMENTS.has(name)) requestBreaks(PARAGRAPH_ELEMENTS.has(name) && !lists.length ? 2 : 1);
+      if (name === 'pre') preDepth++;
+      if (/^h[1-6]$/.test(name)) headingDepth++;
+      if (name === 'ul' || name === 'ol') {
+        lists.push({ ordered: name === 'ol', counter: Number.parseInt(attrs.start, 10) || 1 });
+      } else if (name === 'li') {
+        const list = lists[lists.length - 1] || { ordered: false, counter: 1 };
+        const marker = list.ordered ? `${list.counter++}. ` : `${bullet} `;
+        const base = '  '.repeat(Math.max(0, lists.length - 1));
+        firstLinePrefix = base + marker;
+        listIndent = base + ' '.repeat(marker.length);
+      } else if (name === 'blockquote') {
+        quoteDepth++;
+      } else if (name === 'tr') {
+        cellIndex = 0;
+      } else if (name === 'td' || name === 'th') {
+        if (cellIndex++ > 0) write(cellSeparator, true);
+      } else if (name === 'a') {
+        openLinks.push({ href: attrs.href || '', start: out.length });
+      }
+      continue;
+    }
+
+    if (name === 'pre') preDepth = Math.max(0, preDepth - 1);
+    if (/^h[1-6]$/.test(name)) headingDepth = Math.max(0, headingDepth - 1);
+    if (name === 'a' && openLinks.length) {
+      const { href, start } = openLinks.pop();
+      const linkText = out.slice(start).trim();
+      const visible = href.replace(/^mailto:/i, '');
+      if (links && href && !/^(#|javascript:)/i.test(href) && linkText !== visible && linkText !== href) {
+        write(linkText ? ` (${href})` : href);
+      }
+    }
+    if (name === 'ul' || name === 'ol') {
+      lists.pop();
+      listIndent = '  '.repeat(lists.length);
+      firstLinePrefix = null;
+    }
+    if (name === 'blockquote') quoteDepth = Math.max(0, quoteDepth - 1);
+    if (BLOCK_ELEMENTS.has(name)) requestBreaks(PARAGRAPH_ELEMENTS.has(name) && !lists.length ? 2 : 1);
+  }
+
+  const text = out
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+  if (!Number.isInteger(wordwrap) || wordwrap <= 0) return text;
+  return text.split('\n').map(line => wrapTextLine(line, wordwrap)).join('\n');
+}
+
+const BASIC_TAGS = [
+  'a', 'abbr', 'b', 'br', 'code', 'del', 'em', 'i', 'ins', 'mark', 'p', 'q', 's', 'small', 'span',
+  'strike', 'strong', 'sub', 'sup', 'u'
+];
+
+const SANITIZE_PRESETS = {
+  text: {
+    allowedTags: [],
+    allowedAttributes: {}
+  },
+  basic: {
+    allowedTags: BASIC_TAGS,
+    allowedAttributes: {
+      a: ['href', 'title', 'target', 'rel'],
+      abbr: ['title']
+    }
+  },
+  rich: {
+    allowedTags: [
+      ...BASIC_TAGS, 'blockquote', 'caption', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'h1', 'h2',
+      'h3', 'h4', 'h5', 'h6', 'hr', 'img', 'li', 'ol', 'pre', 'table', 'tbody', 'td', 'tfoot', 'th',
+      'thead', 'tr', 'ul'
+    ],
+    allowedAttributes: {
+      '*': ['title', 'lang', 'dir'],
+      a: ['href', 'target', 'rel'],
+      blockquote: ['cite'],
+      img: ['src', 'alt', 'width', 'height'],
+      ol: ['start', 'type'],
+      td: ['colspan', 'rowspan'],
+      th: ['colspan', 'rowspan', 'scope']
+    }
+  }
+};
+
+// Content of these elements is dropped together with the element when it is not allowed.
+const DROPPED_CONTENT_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'applet', 'template', 'noscript', 'noembed', 'noframes',
+  'textarea', 'title', 'head', 'svg', 'math', 'select', 'xmp'
+]);
+
+// Never allowed, even when listed in allowedTags.
+const FORBIDDEN_ELEMENTS = new Set(['script', 'style']);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'longdesc', 'xlink:href']);
+
+/**
+ * Escapes text for use in HTML content or a double-quoted attribute value.
+ * @param {string} str - The text.
+ * @returns {string} Escaped text.
+ * @private
+ */
+function escapeHtmlText(str) {
+  return str.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Checks whether a URL uses an allowed scheme. Relative URLs are allowed.
+ * @param {string} value - Decoded attribute value.
+ * @param {string[]} allowedSchemes - Lowercase schemes without the colon.
+ * @returns {boolean} True if the URL is safe to keep.
+ * @private
+ */
+function isAllowedUrl(value, allowedSchemes) {
+  // Browsers ignore control characters and whitespace inside the scheme, e.g., "java\tscript:".
+  const compact = value.replace(/[\u0000- \u007F-\u009F]/g, '');
+  const scheme = /^([A-Za-z][A-Za-z0-9+.-]*):/.exec(compact);
+  if (!scheme) return !/^[^/?#]*:/.test(compact);
+  return allowedSchemes.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Sanitizes HTML against an allowlist of tags and attributes, without a DOM, for safe storage and display.
+ * Disallowed tags are removed but their text is kept (script, style, iframe and similar lose their content too).
+ * Event-handler attributes, `style`, and URLs with disallowed schemes (e.g., `javascript:`, `data:`) are always
+ * removed. Comments are dropped and the output is tag-balanced. For escaping plain text, use sanitizeHtmlString.
+ * @param {string} html - The HTML string.
+ * @param {Object} [options={}] - Sanitizer options.
+ * @param {string} [options.preset='basic'] - Base allowlist: 'text' (no tags), 'basic' (inline formatting and links)
+ *   or 'rich' (also headings, lists, quotes, tables and images).
+ * @param {string[]} [options.allowedTags] - Allowed tag names (replaces the preset's list).
+ * @param {Object<string, string[]>} [options.allowedAttributes] - Allowed attributes per tag, with '*' for all tags
+ *   (replaces the preset's map).
+ * @param {string[]} [options.allowedSchemes=['http', 'https', 'mailto', 'tel']] - Allowed URL schemes.
+ * @param {boolean} [options.noopener=false] - Add rel="noopener noreferrer" to every kept link.
+ * @returns {{html: string, removed: Array<{type: string, name: string, tag?: string, value?: string}>}}
+ *   Sanitized HTML and a report of removed tags ('tag'), attributes ('attribute'), URLs ('url') and comments ('comment').
+ * @example
+ * sanitizeHtml('<b onclick="x()">Hi</b><script>evil()</script><a href="javascript:x()">link</a>');
+ * // { html: '<b>Hi</b><a>link</a>', removed: [ ... ] }
+ */
+function sanitizeHtml(html, options = {}) {
+  if (typeof html !== 'string') return { html: '', removed: [] };
+  const {
+    preset = 'basic',
+    allowedTags: tagList,
+    allowedAttributes: attributeMap,
+    allowedSchemes = ['http', 'https', 'mailto', 'tel'],
+    noopener = false
+  } = options || {};
+  const base = SANITIZE_PRESETS[preset] || SANITIZE_PRESETS.basic;
+  const allowedTags = new Set((tagList || base.allowedTags).map(tag => tag.toLowerCase()));
+  const allowedAttributes = attributeMap || base.allowedAttributes;
+  const schemes = allowedSchemes.map(scheme => scheme.toLowerCase().replace(/:$/, ''));
+
+  const removed = [];
+  const open = [];
+  let out = '';
+  let dropDepth = 0;
+  let dropTag = null;
+
+  const isAttributeAllowed = (tag, name) => {
+    const forTag = allowedAttributes[tag] || [];
+    const forAll = allowedAttributes['*'] || [];
+    return forTag.includes(name) || forAll.includes(name);
+  };
+
+  for (const token of tokenizeHtml(html)) {
+    if (dropDepth) {
+      if (token.type === 'startTag' && token.name === dropTag && !token.selfClosing) dropDepth++;
+      if (token.type === 'endTag' && token.name === dropTag) dropDepth--;
+      continue;
+    }
+    if (token.type === 'text') {
+      out += escapeHtmlText(token.value);
+      continue;
+    }
+    if (token.type === 'comment' || token.type === 'doctype') {
+      removed.push({ type: token.type === 'comment' ? 'comment' : 'tag', name: token.type === 'comment' ? '#comment' : '!doctype' });
+      continue;
+    }
+
+    const { name } = token;
+    const allowed = allowedTags.has(name) && !FORBIDDEN_ELEMENTS.has(name);
+    if (token.type === 'endTag') {
+      const index = open.lastIndexOf(name);
+      if (!allowed || index === -1) continue;
+      out += open.splice(index).reverse().map(tag => `</${tag}>`).join('');
+      continue;
+    }
+
+    if (!allowed) {
+      removed.push({ type: 'tag', name });
+      if (DROPPED_CONTENT_ELEMENTS.has(name) && !token.selfClosing && !VOID_ELEMENTS.has(name)) {
+        dropDepth = 1;
+        dropTag = name;
+      }
+      continue;
+    }
+
+    let attributes = '';
+    const rel = new Set();
+    for (const { name: attr, value } of token.attributes) {
+      if (/^on/.test(attr) || attr === 'style' || !isAttributeAllowed(name, attr)) {
+        removed.push({ type: 'attribute', name: attr, tag: name, value });
+        continue;
+      }
+      if (URL_ATTRIBUTES.has(attr) && !isAllowedUrl(value, schemes)) {
+        removed.push({ type: 'url', name: attr, tag: name, value });
+        continue;
+      }
+      if (attr === 'rel') {
+        value.split(/\s+/).filter(Boolean).forEach(item => rel.add(item.toLowerCase()));
+        continue;
+      }
+      attributes += ` ${attr}="${escapeHtmlText(value)}"`;
+    }
+    if (name === 'a' && noopener) {
+      rel.add('noopener');
+      rel.add('noreferrer');
+    }
+    if (rel.size) attributes += ` rel="${escapeHtmlText(Array.from(rel).join(' '))}"`;
+
+    if (VOID_ELEMENTS.has(name)) {
+      out += `<${name}${attributes}>`;
+    } else {
+      out += `<${name}${attributes}>`;
+      if (token.selfClosing) out += `</${name}>`;
+      else open.push(name);
+    }
+  }
+
+  out += open.reverse().map(tag => `</${tag}>`).join('');
+  return { html: out, removed };
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  decodeHtmlEntities,
+  tokenizeHtml,
+  htmlToText,
+  sanitizeHtml
+};
@@ -3,6 +3,11 @@
  * @module stringUtils
  */
 
+const { sanitizeHtmlString } = require('../js-imp');
+const { encodeBase64, decodeBase64, decodeBase64Url, utf8Decode } = require('./codec-utils');
+const { generateSecureString } = require('../js-imp/id-utils');
+const { tokenizeHtml } = require('./html-utils');
+
 /**
  * Capitalizes the first letter of a string and optionally lowercases the rest.
  * @param {string} str - The input string.
@@ -14,19 +19,165 @@ function capitalizeString(str, lowerRest = false) {
     return str.charAt(0).toUpperCase() + (lowerRest ? str.slice(1).toLowerCase() : str.slice(1));
   }
   
+  const GRAPHEME_EXTEND = '[\\p{M}\\p{Emoji_Modifier}\\u{E0020}-\\u{E007F}]';
+  const GRAPHEME_FALLBACK_PATTERN = new RegExp(
+    `\\p{RI}{2}|\\r\\n|[^\\p{M}\\u200D]${GRAPHEME_EXTEND}*(?:\\u200D[^\\p{M}\\u200D]${GRAPHEME_EXTEND}*)*|[\\s\\S]`,
+    'gu'
+  );
+
+  let graphemeSegmenter;
+
+  /**
+   * Splits a string into user-perceived characters (grapheme clusters), so emoji sequences,
+   * flags and combining marks stay whole. Uses Intl.Segmenter when available, with a regex fallback.
+   * @param {string} str - The input string.
+   * @returns {string[]} Array of grapheme clusters or empty array if invalid.
+   * @example
+   * splitGraphemes('👍🏽é'); // ['👍🏽', 'é']
+   */
+  function splitGraphemes(str) {
+    if (typeof str !== 'string' || !str) return [];
+    if (graphemeSegmenter === undefined) {
+      graphemeSegmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+        ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+        : null;
+    }
+    if (graphemeSegmenter) return Array.from(graphemeSegmenter.segment(str), part => part.segment);
+    return str.match(GRAPHEME_FALLBACK_PATTERN) || [];
+  }
+
+  const VOID_HTML_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+  ]);
+
+  // Elements whose text is never displayed, so it does not count towards the visible length.
+  const HIDDEN_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+  /**
+   * Joins the first `length` units, backing off to the previous whitespace when the cut
+   * would fall inside a word.
+   * @param {string[]} units - Characters or grapheme clusters.
+   * @param {number} length - Number of units to keep.
+   * @param {boolean} wordBoundary - Cut on a word boundary.
+   * @param {boolean} [hardCutFallback=true] - Cut mid-word when the text has no earlier boundary.
+   * @returns {string} The kept text.
+   * @private
+   */
+  function cutUnits(units, length, wordBoundary, hardCutFallback = true) {
+    if (!wordBoundary) return units.slice(0, length).join('');
+    let cut = length;
+    if (length < units.length && !/^\s/.test(units[length])) {
+      while (cut > 0 && !/^\s/.test(units[cut - 1])) cut--;
+      if (cut === 0 && hardCutFallback) cut = length;
+    }
+    return units.slice(0, cut).join('').replace(/[\s.,;:!?-]+$/u, '');
+  }
+
+  /**
+   * Truncates HTML by visible text length, keeping tags balanced. Tags are read with the html-utils
+   * tokenizer, so quoted attribute values may contain '>'; script and style contents are kept but not counted.
+   * @param {string} html - HTML string.
+   * @param {number} maxLength - Maximum visible length including the ellipsis.
+   * @param {string} ellipsis - Ellipsis text.
+   * @param {Function} split - Splits text into counting units.
+   * @param {boolean} wordBoundary - Cut on a word boundary.
+   * @returns {string} Truncated HTML.
+   * @private
+   */
+  function truncateHtml(html, maxLength, ellipsis, split, wordBoundary) {
+    const tokens = tokenizeHtml(html);
+    const textUnits = text => (text.match(/&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);|[^&]+|&/gi) || [])
+      .flatMap(part => (part.length > 1 && part[0] === '&' ? [part] : split(part)));
+    let hidden = null;
+    const isVisibleText = token => {
+      if (token.type === 'startTag' && HIDDEN_TEXT_ELEMENTS.has(token.name) && !token.selfClosing) hidden = token.name;
+      else if (token.type === 'endTag' && token.name === hidden) hidden = null;
+      return token.type === 'text' && !hidden;
+    };
+
+    const total = tokens.reduce((sum, token) => (isVisibleText(token) ? sum + textUnits(token.raw).length : sum), 0);
+    if (total <= maxLength) return html;
+
+    const ellipsisLength = split(ellipsis).length;
+    const useEllipsis = maxLength > ellipsisLength;
+    const textLength = useEllipsis ? maxLength - ellipsisLength : maxLength;
+    let budget = textLength;
+    const open = [];
+    let result = '';
+    hidden = null;
+    for (const token of tokens) {
+      if (budget <= 0) break;
+      if (token.type === 'comment') continue;
+      if (isVisibleText(token)) {
+        const units = textUnits(token.raw);
+        if (units.length <= budget) {
+          result += token.raw;
+          budget -= units.length;
+        } else {
+          result += cutUnits(units, budget, wordBoundary, budget === textLength);
+          budget = 0;
+        }
+        continue;
+      }
+      if (token.type === 'endTag') {
+        const index = open.lastIndexOf(token.name);
+        if (index === -1) continue;
+        open.splice(index);
+      } else if (token.type === 'startTag' && !VOID_HTML_ELEMENTS.has(token.name) && !token.selfClosing) {
+        open.push(token.name);
+      }
+      result += token.raw;
+    }
+    if (useEllipsis) result += ellipsis;
+    return result + open.reverse().map(tag => `</${tag}>`).join('');
+  }
+
   /**
    * Truncates a string to a specified length, adding an ellipsis if truncated.
+   * Length is counted in grapheme clusters by default, so emoji and combining marks are never split.
+   * When maxLength is not larger than the ellipsis, the text is cut without an ellipsis.
    * @param {string} str - The input string.
-   * @param {number} maxLength - Maximum length of the output string.
-   * @param {string} [ellipsis='...'] - Ellipsis to append if truncated.
+   * @param {number} maxLength - Maximum length of the output string (including the ellipsis).
+   * @param {string|Object} [options='...'] - Ellipsis string, or an options object.
+   * @param {string} [options.ellipsis='...'] - Ellipsis to insert if truncated.
+   * @param {string} [options.unit='grapheme'] - Counting unit: 'grapheme' or 'codeUnit'.
+   * @param {boolean} [options.wordBoundary=false] - Avoid cutting inside a word.
+   * @param {string} [options.position='end'] - Where to cut: 'end' or 'middle' (keeps start and end, e.g., for paths).
+   * @param {boolean} [options.html=false] - Treat the input as HTML: count only visible text and keep tags balanced
+   *   (always cuts at the end).
    * @returns {string} Truncated string or empty string if invalid.
+   * @example
+   * truncateString('Lovely sea view room', 13, { wordBoundary: true }); // 'Lovely sea...'
+   * truncateString('/var/www/hotel/uploads/photo.jpg', 20, { position: 'middle' }); // '/var/www/...hoto.jpg'
+   * truncateString('<p>Great <b>stay</b> overall</p>', 12, { html: true }); // '<p>Great <b>sta...</b></p>'
    */
-  function truncateString(str, maxLength, ellipsis = '...') {
+  function truncateString(str, maxLength, options = {}) {
     if (typeof str !== 'string' || !Number.isInteger(maxLength) || maxLength < 0) return '';
-    if (str.length <= maxLength) return str;
-    return str.slice(0, maxLength - ellipsis.length) + ellipsis;
+    const {
+      ellipsis = '...',
+      unit = 'grapheme',
+      wordBoundary = false,
+      position = 'end',
+      html = false
+    } = typeof options === 'string' ? { ellipsis: options } : options || {};
+    const split = unit === 'codeUnit' ? text => text.split('') : splitGraphemes;
+
+    if (html) return truncateHtml(str, maxLength, ellipsis, split, wordBoundary);
+
+    const units = split(str);
+    if (units.length <= maxLength) return str;
+    const ellipsisLength = split(ellipsis).length;
+    if (maxLength <= ellipsisLength) return units.slice(0, maxLength).join('');
+
+    const available = maxLength - ellipsisLength;
+    if (position === 'middle') {
+      const headLength = Math.ceil(available / 2);
+      const tail = units.slice(units.length - (available - headLength)).join('');
+      return units.slice(0, headLength).join('') + ellipsis + (available - headLength > 0 ? tail : '');
+    }
+    return cutUnits(units, available, wordBoundary) + ellipsis;
   }
-  
+
   /**
    * Normalizes a string by removing extra spaces, trimming, and optionally converting to lowercase.
    * @param {string} str - The input string.
@@ -39,34 +190,391 @@ function capitalizeString(str, lowerRest = false) {
     return toLower ? normalized.toLowerCase() : normalized;
   }
   
+  // Characters that Unicode decomposition does not fold to plain Latin letters.
+  const LATIN_TRANSLITERATION = {
+    'ß': 'ss', 'ẞ': 'SS', 'æ': 'ae', 'Æ': 'AE', 'ø': 'o', 'Ø': 'O', 'œ': 'oe', 'Œ': 'OE',
+    'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th', 'ł': 'l', 'Ł': 'L',
+    'ı': 'i', 'ħ': 'h', 'Ħ': 'H', 'ŋ': 'ng', 'Ŋ': 'Ng', '&': ' and '
+  };
+
+  const CYRILLIC_TRANSLITERATION = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z',
+    'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+    'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh',
+    'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+    'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'u', 'ђ': 'dj', 'ј': 'j', 'љ': 'lj',
+    'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ѓ': 'gj', 'ќ': 'kj', 'ѕ': 'dz'
+  };
+
+  const GREEK_TRANSLITERATION = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i',
+    'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's',
+    'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+  };
+
+  const ARABIC_TRANSLITERATION = {
+    'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h',
+    'خ': 'kh', 'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'd',
+    'ط': 't', 'ظ': 'z', 'ع': 'a', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm',
+    'ن': 'n', 'ه': 'h', 'و': 'w', 'ي': 'y', 'ى': 'a', 'ة': 'a', 'ء': '', 'ؤ': 'u', 'ئ': 'i',
+    'پ': 'p', 'چ': 'ch', 'ژ': 'zh', 'گ': 'g', 'ک': 'k', 'ی': 'y'
+  };
+
+  // Devanagari consonants carry an inherent "a" that dependent vowel signs replace.
+  const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n', 'च': 'ch', 'छ': 'chh', 'ज': 'j',
+    'झ': 'jh', 'ञ': 'n', 'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n', 'त': 't',
+    'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n', 'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh',
+    'म': 'm', 'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+    'ळ': 'l', 'क़': 'q', 'ख़': 'kh', 'ग़': 'gh', 'ज़': 'z', 'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f'
+  };
+
+  const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai',
+    'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ं': 'n', 'ँ': 'n', 'ः': 'h',
+    '०': '0', '१': '1', '२': '2', '३': '3', '४': '4', '५': '5', '६': '6', '७': '7', '८': '8', '९': '9'
+  };
+
+  const DEVANAGARI_VIRAMA = '्';
+  const DEVANAGARI_NUKTA = '़';
+  const DEVANAGARI_VOWEL_SIGN = /[ा-ौॢॣ]/;
+
+  const DEFAULT_SLUG_STOP_WORDS = [
+    'a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'of', 'on', 'or', 'the', 'to', 'with'
+  ];
+
+  /**
+   * Transliterates a run of Devanagari text, applying inherent-vowel and final-schwa rules.
+   * @param {string[]} chars - Characters of the run.
+   * @returns {string} Latin transliteration.
+   * @private
+   */
+  function transliterateDevanagari(chars) {
+    let result = '';
+    for (let i = 0; i < chars.length; i++) {
+      let char = chars[i];
+      if (chars[i + 1] === DEVANAGARI_NUKTA && DEVANAGARI_CONSONANTS[char + DEVANAGARI_NUKTA]) {
+        char += DEVANAGARI_NUKTA;
+        i++;
+      }
+      if (DEVANAGARI_CONSONANTS[char] !== undefined) {
+        const next = chars[i + 1];
+        const atWordEnd = next === undefined || !/[ऀ-ॿ]/.test(next) || /[।॥]/.test(next);
+        const hasInherentVowel = next !== DEVANAGARI_VIRAMA && !DEVANAGARI_VOWEL_SIGN.test(next || '') && !atWordEnd;
+        result += DEVANAGARI_CONSONANTS[char] + (hasInherentVowel ? 'a' : '');
+      } else if (DEVANAGARI_VOWELS[char] !== undefined) {
+        result += DEVANAGARI_VOWELS[char];
+      } else if (char === DEVANAGARI_VIRAMA || char === DEVANAGARI_NUKTA) {
+        continue;
+      } else {
+        result += /[।॥]/.test(char) ? ' ' : char;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Transliterates Latin ligatures, Cyrillic, Greek, Arabic/Persian and Devanagari text to ASCII.
+   * Characters from other scripts are returned unchanged.
+   * @param {string} str - The input string (NFC normalized).
+   * @param {Object} [customMap={}] - Extra character replacements, checked first.
+   * @returns {string} Transliterated string.
+   * @private
+   */
+  function transliterate(str, customMap = {}) {
+    const chars = Array.from(str);
+    let result = '';
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i];
+      if (Object.prototype.hasOwnProperty.call(customMap, char)) {
+        result += customMap[char];
+        continue;
+      }
+      if (/[ऀ-ॿ]/.test(char)) {
+        let end = i;
+        while (end < chars.length && /[ऀ-ॿ]/.test(chars[end])) end++;
+        result += transliterateDevanagari(chars.slice(i, end));
+        i = end - 1;
+        continue;
+      }
+      const lower = char.toLowerCase();
+      const isUpper = lower !== char;
+      const mapped = LATIN_TRANSLITERATION[char]
+        ?? CYRILLIC_TRANSLITERATION[lower]
+        ?? GREEK_TRANSLITERATION[lower.normalize('NFD').charAt(0)]
+        ?? ARABIC_TRANSLITERATION[char];
+      if (mapped === undefined) result += char;
+      else result += isUpper && !LATIN_TRANSLITERATION[char] ? capitalizeString(mapped) : mapped;
+    }
+    return result;
+  }
+
+  // Numeric suffixes tried for a unique slug before giving up (an `existing` callback may never return false).
+  const MAX_SLUG_SUFFIX = 10000;
+
   /**
    * Generates a slug from a string for URL-friendly use.
+   * Diacritics are folded ("Café" -> "cafe") and Cyrillic, Greek, Arabic/Persian and Devanagari
+   * text is transliterated. Letters from other scripts (e.g., CJK) are kept unless `keepUnicode` is false.
+   * Underscores are kept as part of words ('foo_bar' stays 'foo_bar').
    * @param {string} str - The input string.
+   * @param {Object} [options={}] - Slug options.
+   * @param {string} [options.separator='-'] - Separator placed between words.
+   * @param {boolean} [options.lowercase=true] - Lowercase the slug.
+   * @param {number} [options.maxLength] - Maximum slug length; cuts on word boundaries where possible.
+   * @param {boolean|string[]|Set<string>} [options.stopWords] - Words to drop; `true` uses a built-in English list.
+   * @param {Object} [options.customMap] - Extra character replacements (e.g., { '@': 'at' }).
+   * @param {boolean} [options.keepUnicode=true] - Keep letters and digits that have no transliteration.
+   * @param {string[]|Set<string>|Function} [options.existing] - Slugs already taken, or a function
+   *   returning true when a candidate slug is taken; a numeric suffix (up to 10000) is added until the slug is unique.
    * @returns {string} Slugified string or empty string if invalid.
+   * @throws {Error} If every suffix up to 10000 is taken.
+   * @example
+   * slugifyString('Café Münchën'); // 'cafe-munchen'
+   * slugifyString('Room Deluxe', { existing: ['room-deluxe'] }); // 'room-deluxe-2'
    */
-  function slugifyString(str) {
+  function slugifyString(str, options = {}) {
     if (typeof str !== 'string') return '';
-    return str
-      .toLowerCase()
-      .trim()
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-');
+    const {
+      separator = '-',
+      lowercase = true,
+      maxLength,
+      stopWords,
+      customMap = {},
+      keepUnicode = true,
+      existing
+    } = options || {};
+
+    let text = transliterate(str.normalize('NFC'), customMap)
+      .normalize('NFKD')
+      .replace(/\p{M}+/gu, '')
+      .replace(/['’]/g, '');
+    if (lowercase) text = text.toLowerCase();
+
+    const wordPattern = keepUnicode ? /[\p{L}\p{N}_]+/gu : /[A-Za-z0-9_]+/g;
+    let words = text.match(wordPattern) || [];
+
+    if (stopWords) {
+      const stopList = stopWords === true ? DEFAULT_SLUG_STOP_WORDS : Array.from(stopWords);
+      const stopSet = new Set(stopList.map(word => String(word).toLowerCase()));
+      const filtered = words.filter(word => !stopSet.has(word.toLowerCase()));
+      if (filtered.length) words = filtered;
+    }
+
+    const fitWords = limit => {
+      if (!Number.isInteger(limit) || limit <= 0) return words.join(separator);
+      let result = '';
+      for (const word of words) {
+        const candidate = result ? result + separator + word : word;
+        if (candidate.length > limit) break;
+        result = candidate;
+      }
+      return result || Array.from(words[0] || '').slice(0, limit).join('');
+    };
+
+    const base = fitWords(maxLength);
+    if (!existing || !base) return base;
+
+    const isTaken = typeof existing === 'function'
+      ? slug => Boolean(existing(slug))
+      : (set => slug => set.has(slug))(existing instanceof Set ? existing : new Set(existing));
+    if (!isTaken(base)) return base;
+
+    for (let counter = 2; counter <= MAX_SLUG_SUFFIX; counter++) {
+      const suffix = `${separator}${counter}`;
+      const stem = Number.isInteger(maxLength) && maxLength > 0 ? fitWords(Math.max(1, maxLength - suffix.length)) : base;
+      const candidate = stem + suffix;
+      if (!isTaken(candidate)) return candidate;
+    }
+    throw new Error(`No unique slug for "${base}" after ${MAX_SLUG_SUFFIX - 1} suffixes`);
   }
   
+  const EMAIL_LOCAL_ATOM = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+$/;
+  const EMAIL_LOCAL_UNICODE_ATOM = /^[\p{L}\p{N}\p{M}!#$%&'*+/=?^_`{|}~-]+$/u;
+  const EMAIL_QUOTED_LOCAL = /^"(?:[\x20\x21\x23-\x5B\x5D-\x7E]|\\[\x20-\x7E])*"$/;
+  const EMAIL_DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+  const DISPOSABLE_EMAIL_DOMAINS = [
+    '10minutemail.com', 'discard.email', 'dispostable.com', 'emailondeck.com', 'fakeinbox.com',
+    'getnada.com', 'guerrillamail.com', 'guerrillamail.net', 'maildrop.cc', 'mailinator.com',
+    'mailnesia.com', 'mintemail.com', 'mohmal.com', 'sharklasers.com', 'spamgourmet.com',
+    'temp-mail.org', 'tempmail.com', 'tempmailo.com', 'throwawaymail.com', 'trashmail.com',
+    'yopmail.com'
+  ];
+
+  // Provider rules used to canonicalize addresses for duplicate detection.
+  const EMAIL_PROVIDER_RULES = [
+    { domains: ['gmail.com', 'googlemail.com'], canonicalDomain: 'gmail.com', removeDots: true, tagSeparator: '+' },
+    { domains: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com'], tagSeparator: '+' },
+    { domains: ['icloud.com', 'me.com', 'mac.com'], tagSeparator: '+' },
+    { domains: ['fastmail.com', 'fastmail.fm'], tagSeparator: '+' },
+    { domains: ['protonmail.com', 'proton.me', 'pm.me'], tagSeparator: '+' },
+    { domains: ['yahoo.com', 'ymail.com', 'rocketmail.com'], tagSeparator: '-' }
+  ];
+
+  /**
+   * Converts a possibly internationalized domain to lowercase ASCII (punycode) using the URL parser.
+   * @param {string} domain - The domain.
+   * @returns {string|null} ASCII domain or null if it cannot be converted.
+   * @private
+   */
+  function toAsciiDomain(domain) {
+    if (/^[\x00-\x7F]*$/.test(domain)) return domain.toLowerCase();
+    if (typeof URL !== 'function' || /[\s/?#\\@:%[\]]/.test(domain)) return null;
+    try {
+      return new URL(`http://${domain}`).hostname;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a domain or one of its parent domains is in a set.
+   * @param {string} domain - Lowercase ASCII domain.
+   * @param {Set<string>} domains - Domains to match.
+   * @returns {boolean} True if the domain or a parent domain is listed.
+   * @private
+   */
+  function matchesDomainList(domain, domains) {
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (domains.has(labels.slice(i).join('.'))) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Validates an email address following RFC 5321/5322 length and dot-atom rules and returns a detailed result.
+   * Internationalized domains are converted to punycode in the normalized address.
+   *
+   * Reason codes: 'not_string', 'empty', 'too_long', 'missing_at', 'local_empty', 'local_too_long',
+   * 'local_dot_position', 'local_consecutive_dots', 'local_invalid_chars', 'quoted_local_not_allowed',
+   * 'domain_empty', 'domain_too_long', 'domain_invalid', 'domain_label_empty', 'domain_label_too_long',
+   * 'domain_label_invalid', 'domain_missing_tld', 'domain_tld_numeric', 'domain_literal_not_allowed',
+   * 'blocked_domain'.
+   * @param {string} str - The email address.
+   * @param {Object} [options={}] - Validation options.
+   * @param {boolean} [options.trim=true] - Trim surrounding whitespace before validating.
+   * @param {boolean} [options.allowQuotedLocal=false] - Accept quoted local parts (e.g., "john doe"@example.com).
+   * @param {boolean} [options.allowUnicodeLocal=false] - Accept non-ASCII letters in the local part (SMTPUTF8).
+   * @param {boolean} [options.allowDomainLiteral=false] - Accept IP domain literals (e.g., user@[192.168.0.1]).
+   * @param {boolean} [options.requireTld=true] - Require at least two domain labels.
+   * @param {boolean} [options.blockDisposable=false] - Reject the built-in list of disposable email domains.
+   * @param {string[]|Set<string>} [options.blockedDomains=[]] - Extra domains to reject (subdomains included).
+   * @returns {{valid: boolean, reason: string|null, normalized: string|null, canonical: string|null}}
+   *   Result with a reason code when invalid, the normalized address (lowercase ASCII domain) and the
+   *   provider-canonical address when valid.
+   * @example
+   * validateEmail('Anna@Bücher.de'); // { valid: true, reason: null, normalized: 'Anna@xn--bcher-kva.de', ... }
+   * validateEmail('a@b.c..'); // { valid: false, reason: 'domain_label_empty', normalized: null, canonical: null }
+   */
+  function validateEmail(str, options = {}) {
+    const {
+      trim = true,
+      allowQuotedLocal = false,
+      allowUnicodeLocal = false,
+      allowDomainLiteral = false,
+      requireTld = true,
+      blockDisposable = false,
+      blockedDomains = []
+    } = options || {};
+    const fail = reason => ({ valid: false, reason, normalized: null, canonical: null });
+
+    if (typeof str !== 'string') return fail('not_string');
+    const email = trim ? str.trim() : str;
+    if (!email) return fail('empty');
+
+    const at = email.lastIndexOf('@');
+    if (at === -1) return fail('missing_at');
+    const local = email.slice(0, at);
+    const domain = email.slice(at + 1);
+
+    if (!local) return fail('local_empty');
+    if (local.startsWith('"')) {
+      if (!allowQuotedLocal) return fail('quoted_local_not_allowed');
+      if (!EMAIL_QUOTED_LOCAL.test(local)) return fail('local_invalid_chars');
+    } else {
+      if (local.startsWith('.') || local.endsWith('.')) return fail('local_dot_position');
+      if (local.includes('..')) return fail('local_consecutive_dots');
+      const atom = allowUnicodeLocal ? EMAIL_LOCAL_UNICODE_ATOM : EMAIL_LOCAL_ATOM;
+      if (!local.split('.').every(part => atom.test(part))) return fail('local_invalid_chars');
+    }
+    if (new TextEncoder().encode(local).length > 64) return fail('local_too_long');
+
+    if (!domain) return fail('domain_empty');
+    let asciiDomain;
+    if (domain.startsWith('[')) {
+      if (!allowDomainLiteral) return fail('domain_literal_not_allowed');
+      const literal = /^\[(?:(\d{1,3}(?:\.\d{1,3}){3})|IPv6:([0-9A-Fa-f:.]+))\]$/.exec(domain);
+      const validIpv4 = literal && literal[1] && literal[1].split('.').every(octet => Number(octet) <= 255);
+      if (!literal || (literal[1] && !validIpv4)) return fail('domain_invalid');
+      asciiDomain = domain.toLowerCase().replace('ipv6:', 'IPv6:');
+    } else {
+      if (domain.split('.').some(label => !label)) return fail('domain_label_empty');
+      asciiDomain = toAsciiDomain(domain);
+      if (!asciiDomain) return fail('domain_invalid');
+      if (asciiDomain.length > 253) return fail('domain_too_long');
+      const labels = asciiDomain.split('.');
+      if (labels.some(label => label.length > 63)) return fail('domain_label_too_long');
+      if (!labels.every(label => EMAIL_DOMAIN_LABEL.test(label))) return fail('domain_label_invalid');
+      if (requireTld && labels.length < 2) return fail('domain_missing_tld');
+      if (labels.length > 1 && /^\d+$/.test(labels[labels.length - 1])) return fail('domain_tld_numeric');
+    }
+
+    const normalized = `${local}@${asciiDomain}`;
+    if (new TextEncoder().encode(normalized).length > 254) return fail('too_long');
+
+    const blocked = new Set(Array.from(blockedDomains, item => String(item).toLowerCase()));
+    if (blockDisposable) DISPOSABLE_EMAIL_DOMAINS.forEach(item => blocked.add(item));
+    if (blocked.size && matchesDomainList(asciiDomain, blocked)) return fail('blocked_domain');
+
+    return { valid: true, reason: null, normalized, canonical: canonicalizeEmail(normalized, options) };
+  }
+
+  /**
+   * Canonicalizes an email address for duplicate detection: lowercases it and applies provider rules
+   * (Gmail ignores dots and plus-tags, Outlook/iCloud/Fastmail/Proton ignore plus-tags, Yahoo ignores dash-tags).
+   * The result identifies a mailbox; it is not meant to be used as a delivery address.
+   * @param {string} str - The email address.
+   * @param {Object} [options={}] - Canonicalization options (plus validateEmail options).
+   * @param {boolean} [options.stripPlusTags=false] - Strip "+tag" for every domain, not only known providers.
+   * @returns {string} Canonical address or empty string if invalid.
+   * @example
+   * canonicalizeEmail('John.Smith+promo@googlemail.com'); // 'johnsmith@gmail.com'
+   */
+  function canonicalizeEmail(str, options = {}) {
+    if (typeof str !== 'string') return '';
+    const email = str.trim();
+    const at = email.lastIndexOf('@');
+    if (at <= 0 || email.startsWith('"')) {
+      return at > 0 ? email.slice(0, at) + email.slice(at).toLowerCase() : '';
+    }
+    let local = email.slice(0, at).toLowerCase();
+    let domain = toAsciiDomain(email.slice(at + 1)) || '';
+    if (!domain) return '';
+
+    const rule = EMAIL_PROVIDER_RULES.find(item => item.domains.includes(domain));
+    const tagSeparator = rule ? rule.tagSeparator : options && options.stripPlusTags ? '+' : null;
+    if (tagSeparator && local.indexOf(tagSeparator) > 0) local = local.slice(0, local.indexOf(tagSeparator));
+    if (rule && rule.removeDots) local = local.replace(/\./g, '');
+    if (rule && rule.canonicalDomain) domain = rule.canonicalDomain;
+    return `${local}@${domain}`;
+  }
+
   /**
-   * Checks if a string is a valid email address using a regex pattern.
+   * Checks if a string is a valid email address. See validateEmail for the rules and options.
    * @param {string} str - The input string.
+   * @param {Object} [options={}] - Options as for validateEmail (surrounding whitespace is not trimmed by default).
    * @returns {boolean} True if valid email, false otherwise.
    */
-  function isValidEmail(str) {
-    if (typeof str !== 'string') return false;
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(str);
+  function isValidEmail(str, options = {}) {
+    return validateEmail(str, { trim: false, ...options }).valid;
   }
-  
+
   /**
    * Extracts all matches of a regex pattern from a string.
+   * For capture groups and offsets of every match, use matchAllDetailed from regex-utils.
    * @param {string} str - The input string.
    * @param {RegExp} regex - The regex pattern (global flag recommended).
    * @returns {string[]|null} Array of matches or null if invalid.
@@ -80,43 +588,482 @@ function capitalizeString(str, lowerRest = false) {
    * Replaces all occurrences of a substring with a dynamic replacement function.
    * @param {string} str - The input string.
    * @param {string|RegExp} search - The substring or regex to replace.
-   * @param {Function} replacer - Function to generate replacement (receives match, index).
+   * @param {Function} replacer - Function to generate replacement (receives match, index, named groups and captures).
    * @returns {string} Replaced string or empty string if invalid.
    */
   function dynamicReplace(str, search, replacer) {
     if (typeof str !== 'string' || typeof replacer !== 'function') return '';
     try {
-      return str.replace(search, (match, ...args) => replacer(match, args[args.length - 1]));
+      return str.replace(search, (match, ...args) => {
+        // Trailing replace arguments are offset, input string and (with named groups) the groups object.
+        const hasGroups = typeof args[args.length - 1] !== 'string';
+        const offsetIndex = args.length - (hasGroups ? 3 : 2);
+        return replacer(match, args[offsetIndex], hasGroups ? args[args.length - 1] : {}, args.slice(0, offsetIndex));
+      });
     } catch {
       return str;
     }
   }
   
+  // Letters may carry combining marks (e.g., Devanagari vowel signs), which stay in the word.
+  const WORD_PATTERN = /(?:\p{Lu}\p{M}*)+(?=\p{Lu}\p{M}*\p{Ll})|(?:\p{Lu}\p{M}*)?(?:\p{Ll}\p{M}*)+|(?:\p{Lu}\p{M}*)+|\p{Lt}\p{M}*(?:\p{Ll}\p{M}*)*|(?:\p{Lo}\p{M}*)+|\p{N}+/gu;
+
+  const TITLE_CASE_MINOR_WORDS = [
+    'a', 'an', 'and', 'as', 'at', 'but', 'by', 'en', 'for', 'if', 'in', 'nor', 'of', 'off',
+    'on', 'or', 'per', 'so', 'the', 'to', 'up', 'via', 'vs', 'yet'
+  ];
+
+  /**
+   * Splits a string into words on separators, camel humps, acronyms and digit boundaries.
+   * @param {string} str - The input string.
+   * @returns {string[]} Array of words or empty array if invalid.
+   * @example
+   * splitWords('XMLHttpRequest'); // ['XML', 'Http', 'Request']
+   * splitWords('user_ID2fa'); // ['user', 'ID', '2', 'fa']
+   */
+  function splitWords(str) {
+    if (typeof str !== 'string') return [];
+    return str.normalize('NFC').replace(/['’]/g, '').match(WORD_PATTERN) || [];
+  }
+
+  /**
+   * Checks whether a word is an acronym (two or more uppercase letters).
+   * @param {string} word - The word to check.
+   * @returns {boolean} True if the word is an acronym.
+   * @private
+   */
+  function isAcronym(word) {
+    return word.length > 1 && /^\p{Lu}+$/u.test(word);
+  }
+
   /**
    * Converts a string to camelCase.
    * @param {string} str - The input string.
    * @returns {string} CamelCase string or empty string if invalid.
+   * @example
+   * toCamelCase('XMLHttpRequest'); // 'xmlHttpRequest'
    */
   function toCamelCase(str) {
-    if (typeof str !== 'string') return '';
-    return str
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9]+(.)/g, (_match, char) => char.toUpperCase());
+    return splitWords(str)
+      .map((word, index) => (index === 0 ? word.toLowerCase() : capitalizeString(word, true)))
+      .join('');
   }
-  
+
+  /**
+   * Converts a string to PascalCase.
+   * @param {string} str - The input string.
+   * @returns {string} PascalCase string or empty string if invalid.
+   */
+  function toPascalCase(str) {
+    return splitWords(str).map(word => capitalizeString(word, true)).join('');
+  }
+
+  /**
+   * Converts a string to snake_case.
+   * @param {string} str - The input string.
+   * @returns {string} snake_case string or empty string if invalid.
+   */
+  function toSnakeCase(str) {
+    return splitWords(str).map(word => word.toLowerCase()).join('_');
+  }
+
+  /**
+   * Converts a string to kebab-case.
+   * @param {string} str - The input string.
+   * @returns {string} kebab-case string or empty string if invalid.
+   */
+  function toKebabCase(str) {
+    return splitWords(str).map(word => word.toLowerCase()).join('-');
+  }
+
+  /**
+   * Converts a string to CONSTANT_CASE.
+   * @param {string} str - The input string.
+   * @returns {string} CONSTANT_CASE string or empty string if invalid.
+   */
+  function toConstantCase(str) {
+    return splitWords(str).map(word => word.toUpperCase()).join('_');
+  }
+
+  /**
+   * Converts a string to Title Case. Minor words (articles, short conjunctions and prepositions)
+   * stay lowercase unless they are the first or last word; acronyms keep their casing.
+   * @param {string} str - The input string.
+   * @param {Object} [options={}] - Title case options.
+   * @param {string[]} [options.minorWords] - Words kept lowercase (replaces the built-in list).
+   * @returns {string} Title Case string or empty string if invalid.
+   * @example
+   * toTitleCase('the lord of the rings'); // 'The Lord of the Rings'
+   */
+  function toTitleCase(str, options = {}) {
+    const { minorWords = TITLE_CASE_MINOR_WORDS } = options || {};
+    const minor = new Set(minorWords.map(word => word.toLowerCase()));
+    const words = splitWords(str);
+    return words
+      .map((word, index) => {
+        if (isAcronym(word)) return word;
+        const lower = word.toLowerCase();
+        if (index > 0 && index < words.length - 1 && minor.has(lower)) return lower;
+        return capitalizeString(lower);
+      })
+      .join(' ');
+  }
+
+  /**
+   * Converts a string to Sentence case: the first word capitalized, the rest lowercase.
+   * Acronyms keep their casing.
+   * @param {string} str - The input string.
+   * @returns {string} Sentence case string or empty string if invalid.
+   */
+  function toSentenceCase(str) {
+    return splitWords(str)
+      .map((word, index) => {
+        if (isAcronym(word)) return word;
+        return index === 0 ? capitalizeString(word, true) : word.toLowerCase();
+      })
+      .join(' ');
+  }
+
+  const CASE_CONVERTERS = {
+    camel: toCamelCase,
+    pascal: toPascalCase,
+    snake: toSnakeCase,
+    kebab: toKebabCase,
+    constant: toConstantCase
+  };
+
+  /**
+   * Recursively converts the keys of plain objects (including those nested in arrays).
+   * Non-plain objects such as Dates, Maps and class instances are returned untouched.
+   * @param {any} input - The value whose keys should be converted.
+   * @param {string|Function} converter - 'camel', 'pascal', 'snake', 'kebab', 'constant' or a function (key) => newKey.
+   * @param {Object} [options={}] - Conversion options.
+   * @param {boolean} [options.deep=true] - Convert nested objects and arrays.
+   * @param {string[]} [options.exclude=[]] - Keys left as they are (their values are still converted).
+   * @returns {any} A new value with converted keys, or the input if invalid.
+   * @example
+   * convertObjectKeys({ user_id: 1, billing_address: { zip_code: '00123' } }, 'camel');
+   * // { userId: 1, billingAddress: { zipCode: '00123' } }
+   */
+  function convertObjectKeys(input, converter, options = {}) {
+    const convert = typeof converter === 'function' ? converter : CASE_CONVERTERS[converter];
+    if (typeof convert !== 'function') return input;
+    const { deep = true, exclude = [] } = options || {};
+    const excluded = new Set(exclude);
+    const seen = new WeakMap();
+
+    const walk = (value, depth) => {
+      if (value === null || typeof value !== 'object') return value;
+      if (depth > 0 && !deep) return value;
+      if (seen.has(value)) return seen.get(value);
+      if (Array.isArray(value)) {
+        const copy = [];
+        seen.set(value, copy);
+        value.forEach((item, index) => {
+          copy[index] = walk(item, depth + 1);
+        });
+        return copy;
+      }
+      const proto = Object.getPrototypeOf(value);
+      if (proto !== Object.prototype && proto !== null) return value;
+      const copy = {};
+      seen.set(value, copy);
+      for (const key of Object.keys(value)) {
+        const newKey = excluded.has(key) ? key : convert(key);
+        // Defined, not assigned, so a JSON `__proto__` key stays data instead of replacing the prototype.
+        Object.defineProperty(copy, newKey || key, {
+          value: walk(value[key], depth + 1), writable: true, enumerable: true, configurable: true
+        });
+      }
+      return copy;
+    };
+
+    return walk(input, 0);
+  }
+
+  const UNSAFE_PATH_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+  // Null-prototype registry, so Object.prototype members are never looked up as filters.
+  const templateFilters = Object.assign(Object.create(null), {
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    capitalize: value => capitalizeString(String(value), true),
+    title: value => toTitleCase(String(value)),
+    trim: value => String(value).trim(),
+    slug: value => slugifyString(String(value)),
+    truncate: (value, length = '50', ellipsis = '...') => truncateString(String(value), Number(length), ellipsis),
+    default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+    json: value => JSON.stringify(value),
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+    escape: value => sanitizeHtmlString(String(value)),
+    number: (value, digits, locale) => {
+      const num = Number(value);
+      if (Number.isNaN(num)) return value;
+      const fraction = digits === undefined ? {} : { minimumFractionDigits: Number(digits), maximumFractionDigits: Number(digits) };
+      return new Intl.NumberFormat(locale, fraction).format(num);
+    },
+    currency: (value, currency = 'USD', locale) => {
+      const num = Number(value);
+      if (Number.isNaN(num)) return value;
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(num);
+    },
+    date: (value, locale, style = 'medium') => {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return value;
+      return new Intl.DateTimeFormat(locale, { dateStyle: style }).format(date);
+    }
+  });
+
+  /**
+   * Registers a filter usable in templates as `{value|name:arg1:arg2}`.
+   * @param {string} name - Filter name (not `raw`, `__proto__`, `constructor` or `prototype`).
+   * @param {Function} filter - Function receiving (value, ...args) and returning the new value.
+   * @throws {Error} If the name or filter is invalid.
+   * @example
+   * registerTemplateFilter('nights', n => `${n} night${n === 1 ? '' : 's'}`);
+   */
+  function registerTemplateFilter(name, filter) {
+    if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name) || name === 'raw' || UNSAFE_PATH_KEYS.has(name)
+      || typeof filter !== 'function') {
+      throw new Error('Invalid filter name or function');
+    }
+    templateFilters[name] = filter;
+  }
+
+  /**
+   * Parses a placeholder path such as `user.name`, `items[0].sku` or `map["some key"]`.
+   * @param {string} expr - The path expression.
+   * @returns {Array<string>|null} Path keys or null if the expression is not a path.
+   * @private
+   */
+  function parseTemplatePath(expr) {
+    const head = /^([A-Za-z_$][\w$]*|\d+)/.exec(expr);
+    if (!head) return null;
+    const keys = [head[1]];
+    const segment = /^(?:\.([\w$]+)|\[(\d+)\]|\[(['"])(.*?)\3\])/;
+    let rest = expr.slice(head[0].length);
+    while (rest) {
+      const match = segment.exec(rest);
+      if (!match) return null;
+      keys.push(match[1] ?? match[2] ?? match[4]);
+      rest = rest.slice(match[0].length);
+    }
+    return keys;
+  }
+
+  /**
+   * Splits a string on a delimiter, ignoring delimiters inside single or double quotes.
+   * @param {string} str - The string to split.
+   * @param {string} delimiter - Single-character delimiter.
+   * @param {boolean} [keepQuotes=false] - Keep the quote characters in the parts.
+   * @returns {string[]} Parts.
+   * @private
+   */
+  function splitOutsideQuotes(str, delimiter, keepQuotes = false) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    for (const char of str) {
+      if (quote) {
+        const closing = char === quote;
+        if (closing) quote = null;
+        if (!closing || keepQuotes) current += char;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+        if (keepQuotes) current += char;
+      } else if (char === delimiter) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Parses the inside of a `{...}` placeholder into a path and filter chain.
+   * @param {string} body - Placeholder content without braces.
+   * @returns {Object|null} Placeholder descriptor or null if it is not a valid placeholder.
+   * @private
+   */
+  function parsePlaceholder(body) {
+    const [pathExpr, ...filterExprs] = splitOutsideQuotes(body, '|', true);
+    const path = parseTemplatePath(pathExpr.trim());
+    if (!path) return null;
+    const filters = [];
+    for (const expr of filterExprs) {
+      const [name, ...args] = splitOutsideQuotes(expr, ':');
+      if (!/^[A-Za-z_$][\w$]*$/.test(name.trim())) return null;
+      filters.push({ name: name.trim(), args });
+    }
+    return { path, filters, source: `{${body}}` };
+  }
+
+  /**
+   * Resolves a path against a data object, reading own properties only (so `{a.toString}` is missing
+   * rather than a native function) and never walking into prototype-polluting keys.
+   * @param {any} data - The data object.
+   * @param {string[]} path - Path keys.
+   * @returns {any} The resolved value or undefined.
+   * @private
+   */
+  function resolveTemplatePath(data, path) {
+    let current = data;
+    for (const key of path) {
+      if (current === null || current === undefined || UNSAFE_PATH_KEYS.has(key)
+        || !Object.prototype.hasOwnProperty.call(Object(current), key)) {
+        return undefined;
+      }
+      current = current[key];
+    }
+    return current;
+  }
+
+  /**
+   * Compiles a template into a reusable render function.
+   * Placeholders are `{path}` with dot/bracket paths and optional pipe filters
+   * (`{price|currency:USD}`, `{name|upper|truncate:20}`, `{nickname|default:Guest}`).
+   * `{{` and `}}` produce literal braces; text in braces that is not a valid placeholder is kept as-is.
+   * Paths read own properties only. A missing (undefined, null or empty) value with a `default` filter takes
+   * the default before the other filters run.
+   * @param {string} template - Template string.
+   * @param {Object} [options={}] - Compile options.
+   * @param {string} [options.missing='keep'] - Missing value policy: 'keep' (leave placeholder), 'empty' or 'throw'.
+   * @param {boolean} [options.escapeHtml=false] - HTML-escape every substituted value (use the `raw` filter to opt out).
+   * @param {Object} [options.filters] - Extra filters for this template only.
+   * @returns {Function} Render function (data) => string.
+   * @throws {Error} If the template is not a string or the missing policy is unknown.
+   * @example
+   * const render = compileTemplate('Hi {guest.name|capitalize}, total {total|currency:EUR}');
+   * render({ guest: { name: 'anna' }, total: 120 }); // 'Hi Anna, total €120.00'
+   */
+  function compileTemplate(template, options = {}) {
+    if (typeof template !== 'string') throw new Error('Invalid template');
+    const { missing = 'keep', escapeHtml = false, filters = {} } = options || {};
+    if (!['keep', 'empty', 'throw'].includes(missing)) throw new Error(`Invalid missing policy: ${missing}`);
+
+    const parts = [];
+    let text = '';
+    for (let i = 0; i < template.length; i++) {
+      const char = template[i];
+      if ((char === '{' || char === '}') && template[i + 1] === char) {
+        text += char;
+        i++;
+        continue;
+      }
+      if (char === '{') {
+        const close = template.indexOf('}', i + 1);
+        const placeholder = close === -1 ? null : parsePlaceholder(template.slice(i + 1, close));
+        if (placeholder) {
+          if (text) parts.push(text);
+          text = '';
+          parts.push(placeholder);
+          i = close;
+          continue;
+        }
+      }
+      text += char;
+    }
+    if (text) parts.push(text);
+
+    const lookupFilter = name => {
+      const filter = Object.prototype.hasOwnProperty.call(filters, name) ? filters[name] : templateFilters[name];
+      if (typeof filter !== 'function') throw new Error(`Unknown template filter: ${name}`);
+      return filter;
+    };
+
+    const renderPart = (part, data) => {
+      let value = resolveTemplatePath(data, part.path);
+      let raw = false;
+      let chain = part.filters;
+      const defaultIndex = chain.findIndex(filter => filter.name === 'default');
+      if (value === undefined && defaultIndex === -1) {
+        if (missing === 'throw') throw new Error(`Missing template value: ${part.path.join('.')}`);
+        return missing === 'keep' ? part.source : '';
+      }
+      // A missing value takes its default before any other filter runs (so `{name|upper|default:Guest}`
+      // renders the default rather than 'UNDEFINED').
+      if (defaultIndex !== -1 && (value === undefined || value === null || value === '')) {
+        value = lookupFilter('default')(value, ...chain[defaultIndex].args);
+        chain = chain.filter((_filter, index) => index !== defaultIndex);
+      }
+      for (const { name, args } of chain) {
+        if (name === 'raw') {
+          raw = true;
+          continue;
+        }
+        value = lookupFilter(name)(value, ...args);
+      }
+      const output = value === undefined || value === null ? '' : String(value);
+      return escapeHtml && !raw ? sanitizeHtmlString(output) : output;
+    };
+
+    return function render(data = {}) {
+      let result = '';
+      for (const part of parts) {
+        result += typeof part === 'string' ? part : renderPart(part, data);
+      }
+      return result;
+    };
+  }
+
+  const compiledTemplates = new Map();
+  const MAX_CACHED_TEMPLATES = 500;
+
+  /**
+   * Renders a template with named placeholders, caching the compiled form.
+   * @param {string} template - Template string (see compileTemplate for syntax).
+   * @param {Object} [data={}] - Values for the placeholders.
+   * @param {Object} [options={}] - Options as for compileTemplate.
+   * @returns {string} Rendered string or empty string if the template is invalid.
+   * @throws {Error} If the missing policy is 'throw' and a value is missing, or a filter is unknown.
+   */
+  function renderTemplate(template, data = {}, options = {}) {
+    if (typeof template !== 'string') return '';
+    const { missing = 'keep', escapeHtml = false, filters } = options || {};
+    if (filters) return compileTemplate(template, options)(data);
+    const cacheKey = `${missing}|${escapeHtml}|${template}`;
+    let render = compiledTemplates.get(cacheKey);
+    if (!render) {
+      if (compiledTemplates.size >= MAX_CACHED_TEMPLATES) compiledTemplates.clear();
+      render = compileTemplate(template, { missing, escapeHtml });
+      compiledTemplates.set(cacheKey, render);
+    }
+    return render(data);
+  }
+
   /**
    * Formats a string using a template with placeholders.
-   * @param {string} template - Template string with placeholders (e.g., '{0} {1}').
-   * @param {...string} values - Values to replace placeholders.
+   * Positional placeholders (`{0}`) take the values in order. When a single plain object is passed and
+   * the template has no positional placeholders, named placeholders, filters and literal braces work as
+   * in renderTemplate. Unresolved placeholders are left in place.
+   * @param {string} template - Template string with placeholders (e.g., '{0} {1}' or '{user.name}').
+   * @param {...any} values - Values to replace placeholders, or a single data object.
    * @returns {string} Formatted string or template if invalid.
+   * @example
+   * formatString('{0} has {1} nights', 'Anna', 3); // 'Anna has 3 nights'
+   * formatString('Date: {0}', new Date(0)); // 'Date: Thu Jan 01 1970 ...'
+   * formatString('{user.name|upper}', { user: { name: 'anna' } }); // 'ANNA'
    */
   function formatString(template, ...values) {
     if (typeof template !== 'string') return '';
+    const data = values[0];
+    const isPlainObject = data !== null && typeof data === 'object'
+      && [Object.prototype, null].includes(Object.getPrototypeOf(data));
+    if (values.length === 1 && isPlainObject && !/{\d+}/.test(template)) {
+      try {
+        return renderTemplate(template, data);
+      } catch {
+        return template;
+      }
+    }
     return template.replace(/{(\d+)}/g, (match, index) => 
       typeof values[index] !== 'undefined' ? String(values[index]) : match
     );
   }
-  
+
   /**
    * Checks if a string contains any of the given substrings (case-insensitive option).
    * @param {string} str - The input string.
@@ -159,46 +1106,46 @@ function capitalizeString(str, lowerRest = false) {
   }
   
   /**
-   * Encodes a string to Base64.
+   * Encodes a string to Base64, as UTF-8.
    * @param {string} str - The input string.
    * @returns {string} Base64-encoded string or empty string if invalid.
    */
   function encodeToBase64(str) {
     if (typeof str !== 'string') return '';
-    try {
-      return btoa(str);
-    } catch {
-      return '';
-    }
+    return encodeBase64(str);
   }
   
   /**
-   * Decodes a Base64 string.
+   * Decodes a Base64 or Base64URL string (padded or unpadded) into a UTF-8 string.
+   * Bytes that are not valid UTF-8 are decoded as Latin-1 (one character per byte), as atob does.
+   * For strict decoding with error details, use the codecUtils module.
    * @param {string} str - The Base64-encoded string.
    * @returns {string} Decoded string or empty string if invalid.
    */
   function decodeFromBase64(str) {
     if (typeof str !== 'string') return '';
+    let bytes;
     try {
-      return atob(str);
+      const decode = /[-_]/.test(str) ? decodeBase64Url : decodeBase64;
+      bytes = decode(str.trim());
     } catch {
       return '';
     }
+    try {
+      return utf8Decode(bytes);
+    } catch {
+      return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    }
   }
   
   /**
-   * Generates a random string of specified length using alphanumeric characters.
+   * Generates a cryptographically secure random string of specified length using alphanumeric characters.
    * @param {number} length - Length of the random string.
    * @returns {string} Random string or empty string if invalid.
    */
   function generateRandomString(length) {
     if (!Number.isInteger(length) || length <= 0) return '';
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    let result = '';
-    for (let i = 0; i < length; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return result;
+    return generateSecureString(length);
   }
   
   /**
@@ -220,13 +1167,27 @@ function capitalizeString(str, lowerRest = false) {
   module.exports = {
     capitalizeString,
     truncateString,
+    splitGraphemes,
     normalizeString,
     slugifyString,
     isValidEmail,
+    validateEmail,
+    canonicalizeEmail,
     extractRegexMatches,
     dynamicReplace,
+    splitWords,
     toCamelCase,
+    toPascalCase,
+    toSnakeCase,
+    toKebabCase,
+    toConstantCase,
+    toTitleCase,
+    toSentenceCase,
+    convertObjectKeys,
     formatString,
+    compileTemplate,
+    renderTemplate,
+    registerTemplateFilter,
     containsSubstrings,
     chunkString,
     stripHtmlTags,
@@ -0,0 +1,266 @@
+/**
+ * Plain-text layout helpers (display width, word wrap, padding, tables) for receipts, invoices and CLI reports.
+ * Widths are measured in terminal columns: East Asian wide characters and emoji take two columns,
+ * combining marks and ANSI color codes take none.
+ * @module layoutUtils
+ */
+
+const { splitGraphemes } = require('./index');
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*[A-Za-z]/g;
+
+/**
+ * Checks whether a code point is East Asian Wide or Fullwidth.
+ * @param {number} code - Unicode code point.
+ * @returns {boolean} True if the character takes two columns.
+ * @private
+ */
+function isWideCodePoint(code) {
+  return (
+    (code >= 0x1100 && code <= 0x115f) ||
+    code === 0x2329 || code === 0x232a ||
+    (code >= 0x2e80 && code <= 0x303e) ||
+    (code >= 0x3041 && code <= 0x33ff) ||
+    (code >= 0x3400 && code <= 0x4dbf) ||
+    (code >= 0x4e00 && code <= 0x9fff) ||
+    (code >= 0xa000 && code <= 0xa4cf) ||
+    (code >= 0xa960 && code <= 0xa97f) ||
+    (code >= 0xac00 && code <= 0xd7a3) ||
+    (code >= 0xf900 && code <= 0xfaff) ||
+    (code >= 0xfe10 && code <= 0xfe19) ||
+    (code >= 0xfe30 && code <= 0xfe6f) ||
+    (code >= 0xff00 && code <= 0xff60) ||
+    (code >= 0xffe0 && code <= 0xffe6) ||
+    (code >= 0x1b000 && code <= 0x1b2ff) ||
+    (code >= 0x1f200 && code <= 0x1f2ff) ||
+    (code >= 0x20000 && code <= 0x3fffd)
+  );
+}
+
+/**
+ * Returns the display width of a single grapheme cluster.
+ * @param {string} grapheme - Grapheme cluster.
+ * @returns {number} 0, 1 or 2 columns.
+ * @private
+ */
+function graphemeWidth(grapheme) {
+  const code = grapheme.codePointAt(0);
+  if (code < 0x20 || (code >= 0x7f && code < 0xa0)) return 0;
+  if (/^[\p{M}\u200B-\u200F\u2060\uFEFF]+$/u.test(grapheme)) return 0;
+  if (/\p{Emoji_Presentation}|\uFE0F|\p{RI}/u.test(grapheme)) return 2;
+  return isWideCodePoint(code) ? 2 : 1;
+}
+
+/**
+ * Calculates how many terminal columns a string occupies.
+ * @param {string} str - The input string.
+ * @returns {number} Display width or 0 if invalid.
+ * @example
+ * getDisplayWidth('日本'); // 4
+ * getDisplayWidth('👍🏽 ok'); // 5
+ */
+function getDisplayWidth(str) {
+  if (typeof str !== 'string') return 0;
+  return splitGraphemes(str.replace(ANSI_PATTERN, '')).reduce((width, grapheme) => width + graphemeWidth(grapheme), 0);
+}
+
+/**
+ * Breaks a token wider than the available width into pieces at grapheme boundaries.
+ * @param {string} token - The token.
+ * @param {number} width - Maximum piece width.
+ * @returns {string[]} Pieces.
+ * @private
+ */
+function breakToken(token, width) {
+  const pieces = [];
+  let current = '';
+  let currentWidth = 0;
+  for (const grapheme of splitGraphemes(token)) {
+    const w = graphemeWidth(grapheme);
+    if (currentWidth + w > width && current) {
+      pieces.push(current);
+      current = '';
+      currentWidth = 0;
+    }
+    current += grapheme;
+    currentWidth += w;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Wraps text at word boundaries to a display width. Existing line breaks are kept.
+ * @param {string} str - The input string.
+ * @param {number} width - Maximum line width in columns (including indentation).
+ * @param {Object} [options={}] - Wrap options.
+ * @param {string} [options.indent=''] - Prefix for the first line of each paragraph.
+ * @param {string} [options.hangingIndent=''] - Prefix for continuation lines (e.g., to align under a bullet).
+ * @param {boolean} [options.hardBreak=true] - Break words longer than the line; otherwise they overflow.
+ * @returns {string} Wrapped text or empty string if invalid.
+ * @example
+ * wrapText('1x Deluxe room with sea view, breakfast included', 20, { hangingIndent: '   ' });
+ * // '1x Deluxe room with\n   sea view,\n   breakfast\n   included'
+ */
+function wrapText(str, width, options = {}) {
+  if (typeof str !== 'string' || !Number.isInteger(width) || width <= 0) return '';
+  const { indent = '', hangingIndent = '', hardBreak = true } = options || {};
+
+  return str.split(/\r?\n/).map(paragraph => {
+    const lines = [];
+    let prefix = indent;
+    let line = '';
+    let lineWidth = 0;
+    const available = () => Math.max(1, width - getDisplayWidth(prefix));
+    const flush = () => {
+      lines.push(prefix + line);
+      prefix = hangingIndent;
+      line = '';
+      lineWidth = 0;
+    };
+
+    for (const word of paragraph.split(/[ \t]+/).filter(Boolean)) {
+      const wordWidth = getDisplayWidth(word);
+      const separator = line ? 1 : 0;
+      if (lineWidth + separator + wordWidth <= available()) {
+        line += (separator ? ' ' : '') + word;
+        lineWidth += separator + wordWidth;
+        continue;
+      }
+      if (line) flush();
+      if (wordWidth <= available() || !hardBreak) {
+        line = word;
+        lineWidth = wordWidth;
+        continue;
+      }
+      const pieces = breakToken(word, available());
+      pieces.slice(0, -1).forEach(piece => {
+        line = piece;
+        flush();
+      });
+      line = pieces[pieces.length - 1];
+      lineWidth = getDisplayWidth(line);
+    }
+    if (line || !lines.length) lines.push(prefix + line);
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Pads a string to a display width, aligned left, right or center.
+ * @param {string} str - The input string.
+ * @param {number} width - Target width in columns.
+ * @param {Object} [options={}] - Padding options.
+ * @param {string} [options.align='left'] - 'left', 'right' or 'center'.
+ * @param {string} [options.fill=' '] - Single-column fill character.
+ * @param {boolean} [options.truncate=false] - Cut strings wider than `width` (with '…').
+ * @returns {string} Padded string or empty string if invalid.
+ * @example
+ * padText('€12.50', 10, { align: 'right' }); // '    €12.50'
+ */
+function padText(str, width, options = {}) {
+  if (typeof str !== 'string' || !Number.isInteger(width) || width < 0) return '';
+  const { align = 'left', fill = ' ', truncate = false } = options || {};
+  let text = str;
+  let textWidth = getDisplayWidth(text);
+  if (truncate && textWidth > width) {
+    text = width > 0 ? `${breakToken(text, Math.max(1, width - 1))[0]}…` : '';
+    textWidth = getDisplayWidth(text);
+    if (textWidth > width) {
+      text = breakToken(str, width)[0] || '';
+      textWidth = getDisplayWidth(text);
+    }
+  }
+  const gap = Math.max(0, width - textWidth);
+  if (align === 'right') return fill.repeat(gap) + text;
+  if (align === 'center') return fill.repeat(Math.floor(gap / 2)) + text + fill.repeat(Math.ceil(gap / 2));
+  return text + fill.repeat(gap);
+}
+
+const TABLE_BORDERS = {
+  ascii: { h: '-', v: '|', cross: '+' },
+  unicode: { h: '─', v: '│', cross: '┼', top: ['┌', '┬', '┐'], middle: ['├', '┼', '┤'], bottom: ['└', '┴', '┘'] },
+  none: null
+};
+
+/**
+ * Renders rows as a plain-text table with aligned columns.
+ * @param {Array<Array<any>|Object>} rows - Rows as arrays, or objects read through `columns[].key`.
+ * @param {Object} [options={}] - Table options.
+ * @param {Array<Object|string>} [options.columns] - Column definitions: { key, header, align, maxWidth } or header strings.
+ *   Defaults to the keys of the first object row, or positional columns for array rows.
+ * @param {boolean} [options.showHeader=true] - Render the header row (skipped when every header is empty,
+ *   as with the default columns of array rows).
+ * @param {string} [options.border='ascii'] - 'ascii', 'unicode' or 'none'.
+ * @param {number} [options.padding=1] - Spaces on each side of a cell (a non-negative integer; other values use 1).
+ * @returns {string} Rendered table or empty string if invalid.
+ * @example
+ * renderTable([{ item: 'Room', qty: 2, total: '€200.00' }], {
+ *   columns: [{ key: 'item', header: 'Item' }, { key: 'qty', header: 'Qty', align: 'right' }, { key: 'total', header: 'Total', align: 'right' }]
+ * });
+ */
+function renderTable(rows, options = {}) {
+  if (!Array.isArray(rows)) return '';
+  const { showHeader = true, border = 'ascii' } = options || {};
+  const padding = Number.isInteger(options && options.padding) && options.padding >= 0 ? options.padding : 1;
+  const firstObject = rows.find(row => row && typeof row === 'object' && !Array.isArray(row));
+  const columnCount = rows.reduce((max, row) => (Array.isArray(row) ? Math.max(max, row.length) : max), 0);
+  const defaults = firstObject
+    ? Object.keys(firstObject).map(key => ({ key, header: key }))
+    : Array.from({ length: columnCount }, (_value, index) => ({ key: index, header: '' }));
+  const columns = (options.columns || defaults).map((column, index) => (
+    typeof column === 'object' && column !== null
+      ? { key: column.key ?? index, header: column.header ?? String(column.key ?? ''), align: column.align || 'left', maxWidth: column.maxWidth }
+      : { key: index, header: String(column), align: 'left' }
+  ));
+  if (!columns.length) return '';
+  const withHeader = showHeader && columns.some(column => column.header !== '');
+
+  const cellLines = (value, column) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return Number.isInteger(column.maxWidth) && column.maxWidth > 0 ? wrapText(text, column.maxWidth).split('\n') : text.split(/\r?\n/);
+  };
+  const bodyRows = rows.map(row => columns.map(column => cellLines(row === null || row === undefined ? '' : row[column.key], column)));
+  const headerRow = columns.map(column => cellLines(column.header, column));
+  const allRows = withHeader ? [headerRow, ...bodyRows] : bodyRows;
+  const widths = columns.map((_column, index) => Math.max(
+    0,
+    ...allRows.flatMap(row => row[index].map(line => getDisplayWidth(line)))
+  ));
+
+  const style = TABLE_BORDERS[border] === undefined ? TABLE_BORDERS.ascii : TABLE_BORDERS[border];
+  const space = ' '.repeat(padding);
+  const renderRow = (row, isHeader) => {
+    const height = Math.max(...row.map(lines => lines.length));
+    return Array.from({ length: height }, (_value, lineIndex) => {
+      const cells = row.map((lines, index) => padText(lines[lineIndex] || '', widths[index], {
+        align: isHeader ? 'left' : columns[index].align
+      }));
+      if (!style) return cells.join('  ').replace(/\s+$/, '');
+      return `${style.v}${space}${cells.join(`${space}${style.v}${space}`)}${space}${style.v}`;
+    }).join('\n');
+  };
+  const rule = position => {
+    if (!style) return widths.map(width => '-'.repeat(width)).join('  ');
+    const [left, middle, right] = style[position] || [style.cross, style.cross, style.cross];
+    return left + widths.map(width => style.h.repeat(width + padding * 2)).join(middle) + right;
+  };
+
+  const lines = [];
+  if (style) lines.push(rule('top'));
+  if (withHeader) {
+    lines.push(renderRow(headerRow, true));
+    lines.push(rule('middle'));
+  }
+  bodyRows.forEach(row => lines.push(renderRow(row, false)));
+  if (style) lines.push(rule('bottom'));
+  return lines.join('\n');
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  getDisplayWidth,
+  wrapText,
+  padText,
+  renderTable
+};
@@ -0,0 +1,418 @@
+/**
+ * ICU MessageFormat-style message formatting (plural, select, selectordinal) and English inflection helpers.
+ * @module messageUtils
+ */
+
+/**
+ * Parses an ICU message into an AST.
+ * @param {string} message - Message source.
+ * @returns {Array<string|Object>} Message parts.
+ * @throws {Error} If the message syntax is invalid.
+ * @private
+ */
+function parseMessage(message) {
+  let pos = 0;
+
+  const fail = reason => {
+    throw new Error(`Invalid message syntax at position ${pos}: ${reason}`);
+  };
+  const skipSpace = () => {
+    while (pos < message.length && /\s/.test(message[pos])) pos++;
+  };
+  const readIdentifier = () => {
+    skipSpace();
+    const match = /^[^\s{},#]+/.exec(message.slice(pos));
+    if (!match) fail('expected a name');
+    pos += match[0].length;
+    skipSpace();
+    return match[0];
+  };
+
+  const parseParts = (inPlural, depth) => {
+    const parts = [];
+    let text = '';
+    const pushText = () => {
+      if (text) parts.push(text);
+      text = '';
+    };
+    while (pos < message.length) {
+      const char = message[pos];
+      if (char === "'") {
+        const next = message[pos + 1];
+        if (next === "'") {
+          text += "'";
+          pos += 2;
+          continue;
+        }
+        if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          // Quoted literal text runs until the next single apostrophe ('' inside stands for one apostrophe).
+          pos++;
+          while (pos < message.length) {
+            if (message[pos] === "'" && message[pos + 1] === "'") {
+              text += "'";
+              pos += 2;
+            } else if (message[pos] === "'") {
+              pos++;
+              break;
+            } else {
+              text += message[pos++];
+            }
+          }
+          continue;
+        }
+        text += char;
+        pos++;
+        continue;
+      }
+      if (char === '{') {
+        pushText();
+        pos++;
+        parts.push(parseArgument(depth));
+        continue;
+      }
+      if (char === '}') {
+        if (depth === 0) fail("unexpected '}'");
+        break;
+      }
+      if (char === '#' && inPlural) {
+        pushText();
+        parts.push({ type: 'pound' });
+        pos++;
+        continue;
+      }
+      text += char;
+      pos++;
+    }
+    pushText();
+    return parts;
+  };
+
+  const parseOptions = (inPlural, depth) => {
+    const options = {};
+    skipSpace();
+    while (pos < message.length && message[pos] !== '}') {
+      const key = readIdentifier();
+      if (message[pos] !== '{') fail(`expected '{' after option '${key}'`);
+      pos++;
+      options[key] = parseParts(inPlural, depth + 1);
+      if (message[pos] !== '}') fail(`unclosed option '${key}'`);
+      pos++;
+      skipSpace();
+    }
+    if (!options.other) fail("missing 'other' option");
+    return options;
+  };
+
+  function parseArgument(depth) {
+    const name = readIdentifier();
+    if (message[pos] === '}') {
+      pos++;
+      return { type: 'argument', name };
+    }
+    if (message[pos] !== ',') fail("expected ',' or '}'");
+    pos++;
+    const type = readIdentifier();
+    let node;
+    if (type === 'plural' || type === 'selectordinal') {
+      if (message[pos] !== ',') fail("expected ','");
+      pos++;
+      skipSpace();
+      let offset = 0;
+      const offsetMatch = /^offset:\s*(\d+)/.exec(message.slice(pos));
+      if (offsetMatch) {
+        offset = Number(offsetMatch[1]);
+        pos += offsetMatch[0].length;
+      }
+      node = { type: 'plural', name, ordinal: type === 'selectordinal', offset, options: parseOptions(true, depth) };
+    } else if (type === 'select') {
+      if (message[pos] !== ',') fail("expected ','");
+      pos++;
+      node = { type: 'select', name, options: parseOptions(false, depth) };
+    } else if (type === 'number' || type === 'date' || type === 'time') {
+      let style;
+      if (message[pos] === ',') {
+        pos++;
+        skipSpace();
+        const end = message.indexOf('}', pos);
+        if (end === -1) fail('unclosed argument');
+        style = message.slice(pos, end).trim();
+        pos = end;
+      }
+      node = { type, name, style };
+    } else {
+      fail(`unknown argument type '${type}'`);
+    }
+    if (message[pos] !== '}') fail(`unclosed argument '${name}'`);
+    pos++;
+    return node;
+  }
+
+  const parts = parseParts(false, 0);
+  if (pos < message.length) fail("unexpected '}'");
+  return parts;
+}
+
+/**
+ * Creates Intl number format options for an ICU number style.
+ * @param {string} [style] - 'integer', 'percent', 'currency/EUR' (or '::currency/EUR') or undefined.
+ * @param {Object} options - Compile options.
+ * @returns {Object} Intl.NumberFormat options.
+ * @private
+ */
+function numberStyleOptions(style, options) {
+  if (!style) return {};
+  const skeleton = style.replace(/^::/, '');
+  if (skeleton === 'integer') return { maximumFractionDigits: 0 };
+  if (skeleton === 'percent') return { style: 'percent' };
+  const currency = /^currency(?:\/([A-Za-z]{3}))?$/.exec(skeleton);
+  if (currency) return { style: 'currency', currency: (currency[1] || options.currency || 'USD').toUpperCase() };
+  return {};
+}
+
+/**
+ * Compiles an ICU MessageFormat message into a reusable formatting function.
+ * Supports simple arguments (`{name}`), `number` (integer, percent, currency/XXX), `date` and `time`
+ * (short, medium, long, full), `plural` (with `offset:` and `=N` exact matches), `selectordinal` and `select`,
+ * nested arbitrarily. Plural categories come from Intl.PluralRules for the locale.
+ * @param {string} message - Message source.
+ * @param {string|string[]} [locale='en'] - Locale(s) for plural rules and number/date formatting.
+ * @param {Object} [options={}] - Compile options.
+ * @param {string} [options.currency='USD'] - Currency for `number, currency` without a code.
+ * @param {string} [options.timeZone] - Time zone for dates and times.
+ * @returns {Function} Formatter (values) => string.
+ * @throws {Error} If the message syntax is invalid. The formatter throws if a plural/select value is missing.
+ * @example
+ * const nights = compileMessage('{count, plural, =0 {No nights} one {# night} other {# nights}}');
+ * nights({ count: 2 }); // '2 nights'
+ */
+function compileMessage(message, locale = 'en', options = {}) {
+  if (typeof message !== 'string') throw new Error('Invalid message');
+  const { timeZone } = options || {};
+  const ast = parseMessage(message);
+  const pluralRules = {};
+  const numberFormats = {};
+  const getPluralRules = type => (pluralRules[type] = pluralRules[type] || new Intl.PluralRules(locale, { type }));
+  const getNumberFormat = style => {
+    const key = style || '';
+    if (!numberFormats[key]) numberFormats[key] = new Intl.NumberFormat(locale, numberStyleOptions(style, options || {}));
+    return numberFormats[key];
+  };
+  const formatDate = (value, type, style = 'medium') => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    const dateStyle = ['short', 'medium', 'long', 'full'].includes(style) ? style : 'medium';
+    const formatOptions = type === 'date' ? { dateStyle } : { timeStyle: dateStyle === 'full' ? 'long' : dateStyle };
+    return new Intl.DateTimeFormat(locale, { ...formatOptions, timeZone }).format(date);
+  };
+
+  const render = (parts, values, pluralValue) => {
+    let result = '';
+    for (const part of parts) {
+      if (typeof part === 'string') {
+        result += part;
+        continue;
+      }
+      if (part.type === 'pound') {
+        result += getNumberFormat().format(pluralValue);
+        continue;
+      }
+      const value = values[part.name];
+      if (part.type === 'argument') {
+        result += value === undefined || value === null ? `{${part.name}}` : typeof value === 'number' ? getNumberFormat().format(value) : String(value);
+      } else if (part.type === 'number') {
+        result += getNumberFormat(part.style).format(Number(value));
+      } else if (part.type === 'date' || part.type === 'time') {
+        result += formatDate(value, part.type, part.style);
+      } else if (part.type === 'select') {
+        if (value === undefined) throw new Error(`Missing message value: ${part.name}`);
+        const branch = Object.prototype.hasOwnProperty.call(part.options, String(value)) ? part.options[String(value)] : part.options.other;
+        result += render(branch, values, pluralValue);
+      } else if (part.type === 'plural') {
+        const number = Number(value);
+        if (value === undefined || Number.isNaN(number)) throw new Error(`Missing or invalid plural value: ${part.name}`);
+        const adjusted = number - part.offset;
+        const exact = part.options[`=${number}`];
+        const category = getPluralRules(part.ordinal ? 'ordinal' : 'cardinal').select(adjusted);
+        result += render(exact || part.options[category] || part.options.other, values, adjusted);
+      }
+    }
+    return result;
+  };
+
+  return function format(values = {}) {
+    return render(ast, values || {}, undefined);
+  };
+}
+
+const compiledMessages = new Map();
+const MAX_CACHED_MESSAGES = 500;
+
+/**
+ * Formats an ICU message, caching the compiled form per locale.
+ * @param {string} message - Message source (see compileMessage).
+ * @param {Object} [values={}] - Argument values.
+ * @param {string|string[]} [locale='en'] - Locale(s).
+ * @param {Object} [options={}] - Options as for compileMessage.
+ * @returns {string} Formatted message.
+ * @throws {Error} If the syntax is invalid or a plural/select value is missing.
+ * @example
+ * formatMessage('{guest} booked {n, plural, one {# night} other {# nights}}', { guest: 'Anna', n: 3 }); // 'Anna booked 3 nights'
+ */
+function formatMessage(message, values = {}, locale = 'en', options = {}) {
+  const key = `${[].concat(locale).join(',')}|${(options && options.currency) || ''}|${(options && options.timeZone) || ''}|${message}`;
+  let format = compiledMessages.get(key);
+  if (!format) {
+    if (compiledMessages.size >= MAX_CACHED_MESSAGES) compiledMessages.clear();
+    format = compileMessage(message, locale, options);
+    compiledMessages.set(key, format);
+  }
+  return format(values);
+}
+
+const UNCOUNTABLE_WORDS = new Set([
+  'advice', 'aircraft', 'baggage', 'bison', 'deer', 'equipment', 'feedback', 'fish', 'furniture', 'information',
+  'luggage', 'money', 'moose', 'news', 'rice', 'series', 'sheep', 'species', 'staff', 'swine', 'traffic', 'wifi'
+]);
+
+const IRREGULAR_PLURALS = {
+  child: 'children', foot: 'feet', goose: 'geese', man: 'men', mouse: 'mice', ox: 'oxen', person: 'people',
+  tooth: 'teeth', woman: 'women', die: 'dice', criterion: 'criteria', phenomenon: 'phenomena', cactus: 'cacti',
+  analysis: 'analyses', crisis: 'crises', thesis: 'theses', index: 'indices', matrix: 'matrices', vertex: 'vertices',
+  quiz: 'quizzes', potato: 'potatoes', tomato: 'tomatoes', hero: 'heroes', echo: 'echoes', veto: 'vetoes',
+  bus: 'buses', gas: 'gases', status: 'statuses', campus: 'campuses', virus: 'viruses', bonus: 'bonuses',
+  movie: 'movies', cookie: 'cookies', pie: 'pies', tie: 'ties', lie: 'lies',
+  // -f(e) to -ves is listed word by word: most words ending in -f, -fe or -ves follow the regular rules
+  // (roofs, cafes, houses → house, archives → archive, moves → move).
+  leaf: 'leaves', life: 'lives', knife: 'knives', wife: 'wives', half: 'halves', shelf: 'shelves', self: 'selves',
+  elf: 'elves', thief: 'thieves', wolf: 'wolves', calf: 'calves', loaf: 'loaves', scarf: 'scarves', sheaf: 'sheaves'
+};
+
+const IRREGULAR_SINGULARS = Object.fromEntries(Object.entries(IRREGULAR_PLURALS).map(([single, plural]) => [plural, single]));
+
+const PLURAL_RULES = [
+  [/(s|x|z|ch|sh)$/i, '$1es'],
+  [/([^aeiouy])y$/i, '$1ies'],
+  [/$/, 's']
+];
+
+// Only -sses, -xes, -zes, -ches and -shes drop 'es' (classes, boxes, churches); other -ses words such as
+// houses, databases or cases just drop the 's'.
+const SINGULAR_RULES = [
+  [/(ss)$/i, '$1'],
+  [/([^aeiouy])ies$/i, '$1y'],
+  [/(ss|x|z|ch|sh)es$/i, '$1'],
+  [/(us|is)$/i, '$1'],
+  [/s$/i, '']
+];
+
+/**
+ * Applies the letter case of a source word (lower, UPPER or Title) to a replacement.
+ * @param {string} source - Original word.
+ * @param {string} word - Replacement in lowercase.
+ * @returns {string} Replacement in the source's case.
+ * @private
+ */
+function matchCase(source, word) {
+  if (source === source.toUpperCase() && source.length > 1) return word.toUpperCase();
+  if (source[0] === source[0].toUpperCase()) return word.charAt(0).toUpperCase() + word.slice(1);
+  return word;
+}
+
+/**
+ * Applies the first matching inflection rule.
+ * @param {string} word - The word.
+ * @param {Array} rules - [pattern, replacement] pairs.
+ * @param {Object} irregular - Irregular forms.
+ * @param {boolean} [plural=false] - Whether rules produce plurals (all-caps words then get a lowercase suffix,
+ *   which singular rules remove again).
+ * @returns {string} Inflected word.
+ * @private
+ */
+function inflect(word, rules, irregular, plural = false) {
+  const lower = word.toLowerCase();
+  if (UNCOUNTABLE_WORDS.has(lower)) return word;
+  if (Object.prototype.hasOwnProperty.call(irregular, lower)) return matchCase(word, irregular[lower]);
+  // Acronyms keep their letters and take a lowercase suffix: 'IDs', 'URLs', 'OSes'.
+  if (plural && word.length > 1 && word === word.toUpperCase() && word !== lower) {
+    return `${word}${/(S|X|Z|CH|SH)$/.test(word) ? 'es' : 's'}`;
+  }
+  const acronym = /^(\p{Lu}{2,})(es|s)$/u.exec(word);
+  if (!plural && acronym && (acronym[2] === 's' || /(S|X|Z|CH|SH)$/.test(acronym[1]))) return acronym[1];
+  for (const [pattern, replacement] of rules) {
+    if (pattern.test(word)) {
+      const result = word.replace(pattern, replacement);
+      return word === word.toUpperCase() && word.length > 1 ? result.toUpperCase() : result;
+    }
+  }
+  return word;
+}
+
+/**
+ * Returns the English plural of a word, or the singular when `count` is 1.
+ * @param {string} word - Singular word.
+ * @param {number} [count] - Quantity; 1 (or -1) keeps the singular.
+ * @param {Object} [options={}] - Options.
+ * @param {boolean} [options.inclusive=false] - Prefix the count (e.g., '2 nights').
+ * @returns {string} Inflected word or empty string if invalid.
+ * @example
+ * pluralize('night', 2, { inclusive: true }); // '2 nights'
+ * pluralize('Person'); // 'People'
+ * pluralize('ID'); // 'IDs'
+ */
+function pluralize(word, count, options = {}) {
+  if (typeof word !== 'string' || !word) return '';
+  const { inclusive = false } = options || {};
+  const singular = count === 1 || count === -1;
+  const inflected = singular ? word : inflect(word, PLURAL_RULES, IRREGULAR_PLURALS, true);
+  return inclusive && typeof count === 'number' ? `${count} ${inflected}` : inflected;
+}
+
+/**
+ * Returns the English singular of a plural word.
+ * @param {string} word - Plural word.
+ * @returns {string} Singular word or empty string if invalid.
+ * @example
+ * singularize('categories'); // 'category'
+ * singularize('houses'); // 'house'
+ * singularize('databases'); // 'database'
+ * singularize('archives'); // 'archive'
+ * singularize('shelves'); // 'shelf'
+ * singularize('OSes'); // 'OS'
+ */
+function singularize(word) {
+  if (typeof word !== 'string' || !word) return '';
+  if (Object.prototype.hasOwnProperty.call(IRREGULAR_PLURALS, word.toLowerCase())) return word;
+  return inflect(word, SINGULAR_RULES, IRREGULAR_SINGULARS);
+}
+
+/**
+ * Returns the English ordinal suffix of a number ('st', 'nd', 'rd' or 'th').
+ * @param {number} number - An integer.
+ * @returns {string} Suffix or empty string if invalid.
+ */
+function getOrdinalSuffix(number) {
+  if (!Number.isInteger(number)) return '';
+  const abs = Math.abs(number);
+  if (abs % 100 >= 11 && abs % 100 <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[abs % 10] || 'th';
+}
+
+/**
+ * Formats an integer with its English ordinal suffix.
+ * @param {number} number - An integer.
+ * @returns {string} Ordinal (e.g., '21st') or empty string if invalid.
+ */
+function formatOrdinal(number) {
+  if (!Number.isInteger(number)) return '';
+  return `${number}${getOrdinalSuffix(number)}`;
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  compileMessage,
+  formatMessage,
+  pluralize,
+  singularize,
+  getOrdinalSuffix,
+  formatOrdinal
+};
@@ -0,0 +1,311 @@
+/**
+ * PII detection and masking (emails, phone numbers, payment cards, IBANs, national IDs) for strings and objects,
+ * e.g., in front of a logger.
+ * @module redactUtils
+ */
+
+const { isValidEmail, toConstantCase } = require('./index');
+
+/**
+ * Checks a digit string with the Luhn (mod 10) algorithm used by payment card numbers.
+ * @param {string} str - Digits, optionally separated by spaces or hyphens.
+ * @returns {boolean} True if the checksum is valid, false otherwise.
+ */
+function luhnCheck(str) {
+  if (typeof str !== 'string') return false;
+  const digits = str.replace(/[\s-]/g, '');
+  if (!/^\d{2,}$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Checks an IBAN's structure and ISO 13616 mod-97 checksum.
+ * @param {string} str - IBAN, optionally with spaces.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+function isValidIban(str) {
+  if (typeof str !== 'string') return false;
+  const iban = str.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+const DATE_LIKE_PATTERN = /^(?:\d{4}[-./ ]\d{1,2}[-./ ]\d{1,2}|\d{1,2}[-./ ]\d{1,2}[-./ ]\d{4})(?!\d)/;
+const IPV4_PATTERN = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+// Amounts grouped in thousands ('1 234 567', '12.345.678'); national numbers starting with 0 are not amounts.
+const THOUSANDS_PATTERN = /^[1-9]\d{0,2}(?:[ .]\d{3})+$/;
+
+/**
+ * Built-in detectors, in priority order (earlier detectors win when matches cover the same text).
+ * A detector has a `name`, a global `pattern` and an optional `validate(match)` that filters false positives.
+ */
+const PII_DETECTORS = [
+  {
+    name: 'email',
+    pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu,
+    validate: match => isValidEmail(match, { allowUnicodeLocal: true })
+  },
+  {
+    name: 'creditCard',
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    validate: luhnCheck
+  },
+  {
+    name: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?:[A-Z0-9]{11,30}|(?: [A-Z0-9]{4}){2,7}(?: [A-Z0-9]{1,3})?)\b/g,
+    validate: isValidIban
+  },
+  {
+    // US Social Security numbers and UK National Insurance numbers.
+    name: 'nationalId',
+    pattern: /\b(?:(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}|(?![BDFGIOQUV]|[A-Z][DFIOQUV]|BG|GB|KN|NK|NT|TN|ZZ)[A-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D])\b/g
+  },
+  {
+    // International numbers (+...), numbers with a parenthesized area code, or national numbers written in
+    // separated groups with 9 to 15 digits. Plain digit runs (IDs, timestamps), dates, times, IPv4
+    // addresses and amounts grouped in thousands (also the tail of a longer grouped number) are not phone numbers.
+    name: 'phone',
+    pattern: /(?<![\w+:.-])(?<!\d[ .,])(?:\+\d{1,3}(?:[ .-]?\(\d{1,4}\))?(?:[ .-]?\d{1,5}){1,6}|\(\d{1,4}\)(?:[ .-]?\d{2,5}){1,5}|\d{2,5}(?:[ .-]\d{2,8}){1,5})(?![\w:-]|\.\d)/g,
+    validate: match => {
+      const digits = match.replace(/\D/g, '').length;
+      if (digits > 15) return false;
+      if (match.startsWith('+') || match.startsWith('(')) return digits >= 7;
+      // Two groups only with a national trunk prefix ('030 12345678'); otherwise three or more ('555-123-4567').
+      const groups = match.split(/[ .-]/).length;
+      return digits >= 9 && (groups >= 3 || match.startsWith('0'))
+        && !DATE_LIKE_PATTERN.test(match) && !IPV4_PATTERN.test(match) && !THOUSANDS_PATTERN.test(match);
+    }
+  }
+];
+
+const DETECTORS_BY_NAME = Object.fromEntries(PII_DETECTORS.map(detector => [detector.name, detector]));
+
+let createHash;
+
+/**
+ * Hashes a value with SHA-256 (Node's crypto module), returning hex.
+ * @param {string} value - The value to hash.
+ * @returns {string} Hex digest.
+ * @throws {Error} If no hash implementation is available.
+ * @private
+ */
+function sha256Hex(value) {
+  if (!createHash) {
+    try {
+      createHash = require('crypto').createHash;
+    } catch {
+      throw new Error('Hash masking requires Node.js crypto or a custom options.hash function');
+    }
+  }
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Resolves the detector list from options.
+ * @param {Array<string|Object>} [detectors] - Built-in names and/or custom detectors.
+ * @returns {Object[]} Detectors.
+ * @throws {Error} If a detector is unknown or invalid.
+ * @private
+ */
+function resolveDetectors(detectors) {
+  if (detectors === undefined) return PII_DETECTORS;
+  if (!Array.isArray(detectors)) throw new Error('Invalid detectors: expected an array');
+  return detectors.map(detector => {
+    if (typeof detector === 'string') {
+      if (!DETECTORS_BY_NAME[detector]) throw new Error(`Unknown detector: ${detector}`);
+      return DETECTORS_BY_NAME[detector];
+    }
+    if (!detector || typeof detector.name !== 'string' || !(detector.pattern instanceof RegExp)) {
+      throw new Error('Invalid detector: expected { name, pattern }');
+    }
+    const { flags } = detector.pattern;
+    return { ...detector, pattern: flags.includes('g') ? detector.pattern : new RegExp(detector.pattern.source, `${flags}g`) };
+  });
+}
+
+/**
+ * Masks one matched value.
+ * @param {string} value - The matched text.
+ * @param {string} type - Detector name.
+ * @param {string|Function} style - 'last4', 'hash', 'token' or a function (value, type) => string.
+ * @param {Object} options - Redaction options.
+ * @returns {string} Masked text.
+ * @throws {Error} If the style is unknown.
+ * @private
+ */
+function maskValue(value, type, style, options) {
+  const { maskChar = '*', token, hash, salt = '', hashLength = 12 } = options;
+  if (typeof style === 'function') return String(style(value, type));
+  if (style === 'last4') {
+    let keep = 4;
+    const chars = Array.from(value);
+    for (let i = chars.length - 1; i >= 0; i--) {
+      if (!/[\p{L}\p{N}]/u.test(chars[i])) continue;
+      if (keep > 0) keep--;
+      else chars[i] = maskChar;
+    }
+    return chars.join('');
+  }
+  if (style === 'hash') {
+    const digest = typeof hash === 'function' ? String(hash(salt + value)) : sha256Hex(salt + value);
+    return `[${toConstantCase(type)}:${digest.slice(0, hashLength)}]`;
+  }
+  if (style === 'token') {
+    if (typeof token === 'function') return String(token(type, value));
+    return typeof token === 'string' ? token : `[${toConstantCase(type)}]`;
+  }
+  throw new Error(`Invalid mask style: ${style}`);
+}
+
+/**
+ * Finds PII in a string and masks it.
+ * Overlapping matches are resolved by position: the earliest match wins, then the longest, then detector order.
+ * @param {string} str - The input string.
+ * @param {Object} [options={}] - Redaction options.
+ * @param {Array<string|Object>} [options.detectors] - Built-in detector names ('email', 'creditCard', 'iban',
+ *   'nationalId', 'phone') and/or custom detectors { name, pattern, validate, mask }. Defaults to all built-ins.
+ * @param {string|Function} [options.mask='token'] - 'last4', 'hash', 'token' or (value, type) => string.
+ * @param {Object} [options.masks] - Mask style per detector name, overriding `mask` (e.g., { creditCard: 'last4' }).
+ * @param {string|Function} [options.token] - Replacement for 'token' masking; defaults to '[EMAIL]', '[CREDIT_CARD]', ...
+ * @param {string} [options.maskChar='*'] - Character used by 'last4'.
+ * @param {string} [options.salt=''] - Salt prepended before hashing.
+ * @param {number} [options.hashLength=12] - Hex characters kept from the hash.
+ * @param {Function} [options.hash] - Custom hash (value) => string (e.g., in browsers).
+ * @param {boolean} [options.includeValues=false] - Include the raw matched value in findings.
+ * @returns {{text: string, findings: Object[]}} Masked text and findings { type, start, end, masked, value? },
+ *   with offsets into the original string. Empty result if invalid.
+ * @throws {Error} If a detector or mask style is invalid, or rethrows an error from a custom detector.
+ * @example
+ * redactString('Card 4111 1111 1111 1111, mail anna@example.com', { masks: { creditCard: 'last4' } }).text;
+ * // 'Card **** **** **** 1111, mail [EMAIL]'
+ */
+function redactString(str, options = {}) {
+  if (typeof str !== 'string') return { text: '', findings: [] };
+  const settings = options || {};
+  const { mask = 'token', masks = {}, includeValues = false } = settings;
+  const detectors = resolveDetectors(settings.detectors);
+
+  const candidates = [];
+  // Errors from custom detectors propagate: skipping a detector would let its PII through unmasked.
+  detectors.forEach((detector, priority) => {
+    for (const { 0: match, index } of str.matchAll(detector.pattern)) {
+      if (match && (!detector.validate || detector.validate(match))) {
+        candidates.push({ detector, priority, start: index, end: index + match.length, value: match });
+      }
+    }
+  });
+  candidates.sort((a, b) => a.start - b.start || b.end - a.end || a.priority - b.priority);
+
+  const findings = [];
+  let text = '';
+  let lastEnd = 0;
+  for (const candidate of candidates) {
+    if (candidate.start < lastEnd) continue;
+    const { detector, start, end, value } = candidate;
+    const style = masks[detector.name] || detector.mask || mask;
+    const masked = maskValue(value, detector.name, style, settings);
+    text += str.slice(lastEnd, start) + masked;
+    lastEnd = end;
+    findings.push(includeValues ? { type: detector.name, start, end, masked, value } : { type: detector.name, start, end, masked });
+  }
+  return { text: text + str.slice(lastEnd), findings };
+}
+
+/**
+ * Recursively redacts PII in string values of objects and arrays (keys are left as-is).
+ * Values under sensitive keys are replaced entirely. The input is not modified.
+ * Errors are copied (same prototype) with their message, stack, cause and own enumerable properties redacted.
+ * Other class instances (Date, Map, custom classes, ...) are returned as-is and NOT redacted; convert them
+ * to plain objects first (e.g., with toJSON).
+ * @param {any} value - Object, array or primitive.
+ * @param {Object} [options={}] - Options as for redactString, plus:
+ * @param {Array<string|RegExp>} [options.sensitiveKeys=[]] - Keys whose values are always masked (e.g., 'password').
+ * @param {string} [options.sensitiveToken='[REDACTED]'] - Replacement for sensitive key values.
+ * @returns {{value: any, findings: Object[]}} Redacted copy and findings with a `path` (e.g., 'user.emails[0]').
+ *   Circular references are replaced with '[Circular]'.
+ * @throws {Error} If a detector or mask style is invalid.
+ * @example
+ * redactObject({ user: { email: 'anna@example.com', password: 'hunter2' } }, { sensitiveKeys: ['password'] }).value;
+ * // { user: { email: '[EMAIL]', password: '[REDACTED]' } }
+ */
+function redactObject(value, options = {}) {
+  const settings = options || {};
+  const { sensitiveKeys = [], sensitiveToken = '[REDACTED]' } = settings;
+  const findings = [];
+  const ancestors = new WeakSet();
+  const isSensitive = key => sensitiveKeys.some(pattern => (
+    pattern instanceof RegExp ? pattern.test(key) : String(pattern).toLowerCase() === key.toLowerCase()
+  ));
+  const joinPath = (path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? (path ? `${path}.${key}` : key) : `${path}[${JSON.stringify(key)}]`;
+  };
+
+  const visit = (current, path) => {
+    if (typeof current === 'string') {
+      const result = redactString(current, settings);
+      result.findings.forEach(finding => findings.push({ path, ...finding }));
+      return result.text;
+    }
+    if (!current || typeof current !== 'object') return current;
+    const isError = current instanceof Error;
+    const isPlain = Array.isArray(current) || Object.getPrototypeOf(current) === Object.prototype || Object.getPrototypeOf(current) === null;
+    if (!isPlain && !isError) return current;
+    if (ancestors.has(current)) return '[Circular]';
+    ancestors.add(current);
+    let copy;
+    if (Array.isArray(current)) {
+      copy = current.map((item, index) => visit(item, joinPath(path, index)));
+    } else {
+      copy = isError ? Object.create(Object.getPrototypeOf(current)) : Object.getPrototypeOf(current) === null ? Object.create(null) : {};
+      if (isError) {
+        // message, stack and cause are usually non-enumerable own properties; keep them that way.
+        ['name', 'message', 'stack', 'cause'].forEach(key => {
+          if (!Object.prototype.hasOwnProperty.call(current, key) || Object.prototype.propertyIsEnumerable.call(current, key)) return;
+          const redacted = key === 'name' ? current.name : visit(current[key], joinPath(path, key));
+          Object.defineProperty(copy, key, { value: redacted, enumerable: false, writable: true, configurable: true });
+        });
+      }
+      for (const key of Object.keys(current)) {
+        const childPath = joinPath(path, key);
+        let redacted;
+        if (isSensitive(key) && current[key] !== undefined && current[key] !== null) {
+          redacted = sensitiveToken;
+          findings.push({ path: childPath, type: 'sensitiveKey', masked: sensitiveToken });
+        } else {
+          redacted = visit(current[key], childPath);
+        }
+        // defineProperty keeps an own '__proto__' key (e.g., from JSON.parse) from changing the copy's prototype.
+        Object.defineProperty(copy, key, { value: redacted, enumerable: true, writable: true, configurable: true });
+      }
+    }
+    ancestors.delete(current);
+    return copy;
+  };
+
+  return { value: visit(value, ''), findings };
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  PII_DETECTORS,
+  luhnCheck,
+  isValidIban,
+  redactString,
+  redactObject
+};
@@ -0,0 +1,249 @@
+/**
+ * Regex helpers: detailed match objects, literal escaping, async replacement and single-pass multi-pattern replacement.
+ * @module regexUtils
+ */
+
+/**
+ * Escapes a literal string for use in a RegExp (also valid with the `u` flag).
+ * @param {string} str - The literal string.
+ * @returns {string} Escaped pattern source or empty string if invalid.
+ * @example
+ * new RegExp(escapeRegExp('$9.99 (net)')); // /\$9\.99 \(net\)/
+ */
+function escapeRegExp(str) {
+  if (typeof str !== 'string') return '';
+  return str.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+}
+
+/**
+ * Creates a global regex with match indices from a literal string or a RegExp (the original is not mutated).
+ * @param {string|RegExp} pattern - Literal string or RegExp.
+ * @returns {RegExp} Regex with the `g` and `d` flags.
+ * @throws {Error} If the pattern is not a string or RegExp, or is an empty string.
+ * @private
+ */
+function toMatcher(pattern) {
+  if (typeof pattern === 'string') {
+    if (!pattern) throw new Error('Invalid pattern: empty string');
+    return new RegExp(escapeRegExp(pattern), 'gd');
+  }
+  if (!(pattern instanceof RegExp)) throw new Error('Invalid pattern: expected a string or RegExp');
+  const flags = pattern.flags.replace(/[gyd]/g, '');
+  return new RegExp(pattern.source, `${flags}gd`);
+}
+
+/**
+ * Converts a RegExp exec result into a match object.
+ * @param {Array} result - Exec result (with `indices`).
+ * @returns {Object} Match object.
+ * @private
+ */
+function toMatchObject(result) {
+  const indices = result.indices ? Array.from(result.indices, pair => (pair ? [pair[0], pair[1]] : undefined)) : [];
+  return {
+    text: result[0],
+    index: result.index,
+    end: result.index + result[0].length,
+    captures: result.slice(1),
+    groups: result.groups ? { ...result.groups } : {},
+    indices,
+    groupIndices: result.indices && result.indices.groups ? { ...result.indices.groups } : {}
+  };
+}
+
+/**
+ * Returns detailed objects for every match of a pattern, including capture groups and their offsets.
+ * Non-global regexes are treated as global; string patterns match literally.
+ * @param {string} str - The input string.
+ * @param {string|RegExp} pattern - Literal string or RegExp.
+ * @returns {Object[]} Matches { text, index, end, captures, groups, indices, groupIndices },
+ *   where `indices` holds [start, end] pairs for the match and each capture (undefined if a group did not take part),
+ *   or empty array if invalid.
+ * @example
+ * matchAllDetailed('Room 12, Room 7', /Room (?<no>\d+)/)[1];
+ * // { text: 'Room 7', index: 9, end: 15, captures: ['7'], groups: { no: '7' }, indices: [[9, 15], [14, 15]], groupIndices: { no: [14, 15] } }
+ */
+function matchAllDetailed(str, pattern) {
+  if (typeof str !== 'string') return [];
+  let matcher;
+  try {
+    matcher = toMatcher(pattern);
+  } catch {
+    return [];
+  }
+  return Array.from(str.matchAll(matcher), toMatchObject);
+}
+
+/**
+ * Replaces every match of a pattern using a replacer that may return a promise (e.g., a database lookup).
+ * @param {string} str - The input string.
+ * @param {string|RegExp} pattern - Literal string or RegExp (all matches are replaced).
+ * @param {Function} replacer - (match) => string | Promise<string>, receiving a match object as from matchAllDetailed.
+ * @param {Object} [options={}] - Replacement options.
+ * @param {number} [options.concurrency=Infinity] - Maximum replacer calls in flight (1 runs them in order).
+ * @returns {Promise<string>} Replaced string (resolves to empty string if invalid).
+ * @throws {Error} Rejects if the pattern is invalid or a replacer rejects.
+ * @example
+ * await replaceAsync('Hi {{guestId}}', /\{\{(\w+)\}\}/, async match => lookupGuestName(match.captures[0]));
+ */
+async function replaceAsync(str, pattern, replacer, options = {}) {
+  if (typeof str !== 'string' || typeof replacer !== 'function') return '';
+  const { concurrency = Infinity } = options || {};
+  if (!(concurrency >= 1)) throw new Error('Invalid concurrency');
+  const matches = Array.from(str.matchAll(toMatcher(pattern)), toMatchObject);
+  return applyAsyncReplacements(str, matches, match => replacer(match), concurrency);
+}
+
+/**
+ * Resolves replacements for non-overlapping, ordered matches and splices them into the string.
+ * @param {string} str - The input string.
+ * @param {Object[]} matches - Match objects, ordered and non-overlapping.
+ * @param {Function} resolve - (match) => string | Promise<string>.
+ * @param {number} concurrency - Maximum pending resolutions.
+ * @returns {Promise<string>} Replaced string.
+ * @private
+ */
+async function applyAsyncReplacements(str, matches, resolve, concurrency) {
+  const replacements = new Array(matches.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < matches.length) {
+      const index = next++;
+      replacements[index] = String(await resolve(matches[index]));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, matches.length) }, worker));
+  return spliceMatches(str, matches, replacements);
+}
+
+/**
+ * Builds a string with ordered, non-overlapping matches replaced.
+ * @param {string} str - The input string.
+ * @param {Object[]} matches - Match objects.
+ * @param {string[]} replacements - Replacement per match.
+ * @returns {string} Replaced string.
+ * @private
+ */
+function spliceMatches(str, matches, replacements) {
+  let result = '';
+  let lastEnd = 0;
+  matches.forEach((match, index) => {
+    result += str.slice(lastEnd, match.index) + replacements[index];
+    lastEnd = match.end;
+  });
+  return result + str.slice(lastEnd);
+}
+
+/**
+ * Normalizes replacement rules given as an object map or an array of [pattern, replacement] pairs.
+ * @param {Object|Array} rules - Rules.
+ * @returns {Array<{matcher: RegExp, replacement: string|Function}>} Normalized rules.
+ * @throws {Error} If the rules are invalid.
+ * @private
+ */
+function normalizeRules(rules) {
+  let entries;
+  if (Array.isArray(rules)) entries = rules;
+  else if (rules && typeof rules === 'object') entries = Object.entries(rules);
+  else throw new Error('Invalid replacement rules');
+  return entries.map(entry => {
+    if (!Array.isArray(entry) || entry.length < 2) throw new Error('Invalid replacement rule: expected [pattern, replacement]');
+    const [pattern, replacement] = entry;
+    if (typeof replacement !== 'string' && typeof replacement !== 'function') {
+      throw new Error('Invalid replacement: expected a string or function');
+    }
+    return { matcher: toMatcher(pattern), replacement };
+  });
+}
+
+/**
+ * Scans a string once for several patterns. At each position the earliest match wins; ties go to the longest match,
+ * then to the rule listed first. Replaced text is never rescanned, and empty matches are ignored.
+ * @param {string} str - The input string.
+ * @param {Array} rules - Normalized rules.
+ * @returns {Array<{match: Object, rule: Object}>} Selected matches in order.
+ * @private
+ */
+function collectRuleMatches(str, rules) {
+  const selected = [];
+  const pending = rules.map(() => null);
+  const nextMatch = (rule, from) => {
+    rule.matcher.lastIndex = from;
+    let result = rule.matcher.exec(str);
+    while (result && result[0] === '') {
+      rule.matcher.lastIndex = result.index + 1;
+      result = rule.matcher.lastIndex <= str.length ? rule.matcher.exec(str) : null;
+    }
+    return result ? toMatchObject(result) : false;
+  };
+
+  let position = 0;
+  while (position <= str.length) {
+    let best = null;
+    rules.forEach((rule, index) => {
+      if (pending[index] !== false && (!pending[index] || pending[index].index < position)) {
+        pending[index] = nextMatch(rule, position);
+      }
+      const candidate = pending[index];
+      if (candidate && (!best || candidate.index < best.match.index
+        || (candidate.index === best.match.index && candidate.end > best.match.end))) {
+        best = { match: candidate, rule };
+      }
+    });
+    if (!best) break;
+    selected.push(best);
+    position = best.match.end;
+  }
+  return selected;
+}
+
+/**
+ * Replaces many patterns in a single pass, so replacements never affect each other
+ * (e.g., swapping 'a' => 'b' and 'b' => 'a'). The earliest match wins, then the longest, then the first rule.
+ * String replacements are inserted literally (no `$1` expansion); use a function for dynamic values.
+ * @param {string} str - The input string.
+ * @param {Object|Array} rules - { literal: replacement } map, or [pattern, replacement] pairs where pattern is a
+ *   string or RegExp and replacement is a string or (match) => string.
+ * @returns {string} Replaced string or empty string if invalid.
+ * @throws {Error} If a rule is invalid.
+ * @example
+ * replaceMany('{first} & {firstName}', { '{first}': 'Ann', '{firstName}': 'Anna' }); // 'Ann & Anna'
+ */
+function replaceMany(str, rules) {
+  if (typeof str !== 'string') return '';
+  const selected = collectRuleMatches(str, normalizeRules(rules));
+  const replacements = selected.map(({ match, rule }) => (
+    typeof rule.replacement === 'function' ? String(rule.replacement(match)) : rule.replacement
+  ));
+  return spliceMatches(str, selected.map(({ match }) => match), replacements);
+}
+
+/**
+ * Async version of replaceMany: function replacements may return promises.
+ * @param {string} str - The input string.
+ * @param {Object|Array} rules - Rules as for replaceMany.
+ * @param {Object} [options={}] - Replacement options.
+ * @param {number} [options.concurrency=Infinity] - Maximum replacer calls in flight.
+ * @returns {Promise<string>} Replaced string (resolves to empty string if invalid).
+ * @throws {Error} Rejects if a rule is invalid or a replacer rejects.
+ */
+async function replaceManyAsync(str, rules, options = {}) {
+  if (typeof str !== 'string') return '';
+  const { concurrency = Infinity } = options || {};
+  if (!(concurrency >= 1)) throw new Error('Invalid concurrency');
+  const selected = collectRuleMatches(str, normalizeRules(rules));
+  const ruleByMatch = new Map(selected.map(({ match, rule }) => [match, rule]));
+  return applyAsyncReplacements(str, selected.map(({ match }) => match), match => {
+    const { replacement } = ruleByMatch.get(match);
+    return typeof replacement === 'function' ? replacement(match) : replacement;
+  }, concurrency);
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  escapeRegExp,
+  matchAllDetailed,
+  replaceAsync,
+  replaceMany,
+  replaceManyAsync
+};
@@ -0,0 +1,66 @@
+/**
+ * Benchmark: createMultiMatcher against containsSubstrings/countOccurrences, which scan the text once per pattern.
+ * Checks that both give the same answers, then prints timings for growing pattern counts.
+ * Run with: node string-utils/search-utils.bench.js
+ */
+
+const assert = require('node:assert/strict');
+const { containsSubstrings, countOccurrences } = require('./index');
+const { createMultiMatcher } = require('./search-utils');
+
+const TEXT_WORDS = 20000;
+const PATTERN_COUNTS = [100, 1000, 5000];
+
+// Deterministic pseudo-random generator (mulberry32), so every run uses the same data.
+let seed = 42;
+const random = () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+// Fixed-length words, so a pattern can only occur as a whole word of the text.
+const randomWord = () => Array.from({ length: 8 }, () => String.fromCharCode(97 + Math.floor(random() * 26))).join('');
+
+const vocabulary = Array.from({ length: 2000 }, randomWord);
+const text = Array.from({ length: TEXT_WORDS }, () => vocabulary[Math.floor(random() * vocabulary.length)]).join(' ');
+
+const time = fn => {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+};
+
+console.log(`Text: ${TEXT_WORDS} words (${text.length} characters)\n`);
+console.log('patterns | build ms | test(): baseline / matcher ms | count(): baseline / matcher ms');
+
+for (const patternCount of PATTERN_COUNTS) {
+  // Half the patterns occur in the text and half do not; the test() runs use only the absent half,
+  // the worst case for containsSubstrings (it cannot stop early).
+  const present = vocabulary.slice(0, patternCount / 2);
+  const absent = Array.from({ length: patternCount / 2 }, randomWord);
+  const patterns = [...present, ...absent];
+
+  const build = time(() => createMultiMatcher(patterns, { overlapping: false }));
+  const matcher = build.result;
+
+  const absentMatcher = createMultiMatcher(absent);
+  const baselineTest = time(() => containsSubstrings(text, absent));
+  const matcherTest = time(() => absentMatcher.test(text));
+  assert.equal(matcherTest.result, baselineTest.result);
+
+  const baselineCount = time(() => {
+    const counts = new Map();
+    patterns.forEach(pattern => {
+      const count = countOccurrences(text, pattern);
+      if (count) counts.set(pattern, count);
+    });
+    return counts;
+  });
+  const matcherCount = time(() => matcher.count(text));
+  assert.deepEqual(new Map([...matcherCount.result].sort()), new Map([...baselineCount.result].sort()));
+
+  const format = ms => ms.toFixed(1).padStart(8);
+  console.log(`${String(patternCount).padStart(8)} | ${format(build.ms)} | ${format(baselineTest.ms)} / ${format(matcherTest.ms)}    `
+    + `  | ${format(baselineCount.ms)} / ${format(matcherCount.ms)}`);
+}
@@ -0,0 +1,173 @@
+/**
+ * Multi-pattern string search with an Aho-Corasick automaton: build once for thousands of keywords,
+ * then scan each text in a single linear pass.
+ * @module searchUtils
+ */
+
+const WORD_CHAR = /[\p{L}\p{N}\p{M}_]/u;
+
+/**
+ * Lowercases a single code point, keeping it unchanged when lowercasing would change its length
+ * (so offsets in the folded text map one-to-one onto the original).
+ * @param {string} char - A code point.
+ * @returns {string} Folded code point.
+ * @private
+ */
+function foldChar(char) {
+  const lower = char.toLowerCase();
+  return lower.length === char.length ? lower : char;
+}
+
+/**
+ * Builds the trie, failure links and output links for a set of patterns.
+ * @param {string[][]} patterns - Patterns as arrays of (folded) code points.
+ * @returns {Object[]} Automaton nodes { next: Map, fail, outputs: number[], outLink }.
+ * @private
+ */
+function buildAutomaton(patterns) {
+  const nodes = [{ next: new Map(), fail: 0, outputs: [], outLink: -1 }];
+  patterns.forEach((chars, patternIndex) => {
+    let state = 0;
+    for (const char of chars) {
+      let child = nodes[state].next.get(char);
+      if (child === undefined) {
+        child = nodes.length;
+        nodes.push({ next: new Map(), fail: 0, outputs: [], outLink: -1 });
+        nodes[state].next.set(char, child);
+      }
+      state = child;
+    }
+    nodes[state].outputs.push(patternIndex);
+  });
+
+  const queue = [...nodes[0].next.values()];
+  for (let head = 0; head < queue.length; head++) {
+    const state = queue[head];
+    for (const [char, child] of nodes[state].next) {
+      let fail = nodes[state].fail;
+      while (fail > 0 && !nodes[fail].next.has(char)) fail = nodes[fail].fail;
+      const target = nodes[fail].next.get(char);
+      nodes[child].fail = target !== undefined && target !== child ? target : 0;
+      const failNode = nodes[nodes[child].fail];
+      nodes[child].outLink = failNode.outputs.length ? nodes[child].fail : failNode.outLink;
+      queue.push(child);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Compiles a set of patterns into a reusable matcher. Building is linear in the total pattern length;
+ * each search is linear in the text length plus the number of matches.
+ * @param {string[]} patterns - Patterns to find (empty strings and duplicates are ignored; with caseInsensitive,
+ *   patterns that differ only in case count as duplicates and the first one is kept).
+ * @param {Object} [options={}] - Matcher options.
+ * @param {boolean} [options.caseInsensitive=false] - Ignore letter case.
+ * @param {boolean} [options.wholeWord=false] - Only match patterns not surrounded by letters, digits or underscores.
+ * @param {boolean} [options.overlapping=true] - Report overlapping matches; otherwise keep the leftmost-longest ones.
+ * @returns {Object} Matcher with findAll(text), test(text) and count(text), plus `size` (number of patterns).
+ * @throws {Error} If patterns is not an array of strings.
+ * @example
+ * const matcher = createMultiMatcher(['spam', 'scam', 'free money'], { caseInsensitive: true, wholeWord: true });
+ * matcher.findAll('FREE MONEY, no scam!');
+ * // [{ pattern: 'free money', patternIndex: 2, index: 0, end: 10, text: 'FREE MONEY' }, { pattern: 'scam', patternIndex: 1, index: 15, end: 19, text: 'scam' }]
+ * matcher.count('scam scam'); // Map { 'scam' => 2 }
+ */
+function createMultiMatcher(patterns, options = {}) {
+  if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+    throw new Error('Invalid patterns: expected an array of strings');
+  }
+  const { caseInsensitive = false, wholeWord = false, overlapping = true } = options || {};
+  const fold = caseInsensitive ? foldChar : char => char;
+  const seen = new Set();
+  const entries = patterns
+    .map((pattern, patternIndex) => ({ pattern, patternIndex, chars: Array.from(pattern, fold) }))
+    .filter(entry => {
+      const key = entry.chars.join('');
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  const nodes = buildAutomaton(entries.map(entry => entry.chars));
+  // Code-unit length of each pattern as it appears in the text (folding keeps code-unit lengths).
+  const lengths = entries.map(entry => entry.chars.join('').length);
+
+  const isBoundary = (text, index, end) => {
+    const before = index > 1 && /[\uDC00-\uDFFF]/.test(text[index - 1]) ? text.slice(index - 2, index) : text.slice(index - 1, index);
+    const after = String.fromCodePoint(end < text.length ? text.codePointAt(end) : 32);
+    return !(before && WORD_CHAR.test(before)) && !WORD_CHAR.test(after);
+  };
+
+  // Runs the automaton over a text, calling onMatch(entryIndex, index, end) per occurrence; stops when it returns true.
+  const scan = (text, onMatch) => {
+    let state = 0;
+    let offset = 0;
+    for (const rawChar of text) {
+      const char = fold(rawChar);
+      offset += rawChar.length;
+      while (state > 0 && !nodes[state].next.has(char)) state = nodes[state].fail;
+      const next = nodes[state].next.get(char);
+      state = next === undefined ? 0 : next;
+      for (let out = nodes[state].outputs.length ? state : nodes[state].outLink; out !== -1; out = nodes[out].outLink) {
+        for (const entryIndex of nodes[out].outputs) {
+          const index = offset - lengths[entryIndex];
+          if (wholeWord && !isBoundary(text, index, offset)) continue;
+          if (onMatch(entryIndex, index, offset)) return;
+        }
+      }
+    }
+  };
+
+  /**
+   * Finds all occurrences in a text, ordered by position (longest first at the same position).
+   * @param {string} text - The text to search.
+   * @returns {Object[]} Matches { pattern, patternIndex, index, end, text } or empty array if invalid.
+   */
+  const findAll = text => {
+    if (typeof text !== 'string') return [];
+    const matches = [];
+    scan(text, (entryIndex, index, end) => {
+      const { pattern, patternIndex } = entries[entryIndex];
+      matches.push({ pattern, patternIndex, index, end, text: text.slice(index, end) });
+    });
+    matches.sort((a, b) => a.index - b.index || b.end - a.end || a.patternIndex - b.patternIndex);
+    if (overlapping) return matches;
+    let lastEnd = 0;
+    return matches.filter(match => {
+      if (match.index < lastEnd) return false;
+      lastEnd = match.end;
+      return true;
+    });
+  };
+
+  /**
+   * Checks whether any pattern occurs in a text, stopping at the first match.
+   * @param {string} text - The text to search.
+   * @returns {boolean} True if a pattern matched, false otherwise.
+   */
+  const test = text => {
+    if (typeof text !== 'string') return false;
+    let found = false;
+    scan(text, () => (found = true));
+    return found;
+  };
+
+  /**
+   * Counts occurrences per pattern.
+   * @param {string} text - The text to search.
+   * @returns {Map<string, number>} Counts for patterns that matched, in pattern order.
+   */
+  const count = text => {
+    const counts = new Map();
+    const matches = findAll(text).sort((a, b) => a.patternIndex - b.patternIndex);
+    matches.forEach(match => counts.set(match.pattern, (counts.get(match.pattern) || 0) + 1));
+    return counts;
+  };
+
+  return { findAll, test, count, size: entries.length };
+}
+
+// Export functions for Node.js/CommonJS usage
+module.exports = {
+  createMultiMatcher
+};